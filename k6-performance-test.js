@@ -113,7 +113,8 @@ function getRandomLimit() {
 // Helper function to check cache headers
 function checkCacheHeaders(response) {
   const cacheHeader = response.headers['X-Cache'];
-  if (cacheHeader === 'HIT') {
+  // Served from the local cache, Redis, or stale while refreshing
+  if (['HIT-L1', 'HIT-L2', 'STALE'].includes(cacheHeader)) {
     cacheHitRate.add(1);
   } else if (cacheHeader === 'MISS') {
     cacheMissRate.add(1);
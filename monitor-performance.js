@@ -111,7 +111,7 @@ class PerformanceMonitor {
             endpoint,
             status: response.status,
             responseTime: endTime - startTime,
-            cacheHit: response.headers.get('X-Cache') === 'HIT',
+            cacheHit: ['HIT-L1', 'HIT-L2', 'STALE'].includes(response.headers.get('X-Cache')),
             queuePosition: response.headers.get('X-Queue-Position'),
             queueWaitTime: response.headers.get('X-Queue-Wait-Time')
           });
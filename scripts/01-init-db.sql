@@ -19,9 +19,133 @@ CREATE TABLE IF NOT EXISTS products (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Purchasable variants of a product (e.g. a T-shirt in each color and size).
+-- price overrides the product price when set.
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL UNIQUE,
+  ean BIGINT,
+  color TEXT,
+  size TEXT,
+  price NUMERIC CHECK (price >= 0),
+  stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, color, size)
+);
+
+-- Image gallery of a product, shown in position order. The primary image's
+-- url is copied to products.image_url, which listings return.
+-- Uploaded images have a storage_key and stay pending until the image worker
+-- has stored their resized variants.
+CREATE TABLE IF NOT EXISTS product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  alt_text TEXT,
+  width INTEGER CHECK (width > 0),
+  height INTEGER CHECK (height > 0),
+  position INTEGER NOT NULL DEFAULT 0 CHECK (position >= 0),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  storage_key TEXT,
+  status TEXT NOT NULL DEFAULT 'ready'
+    CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+  variants JSONB NOT NULL DEFAULT '[]',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  processing_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one primary image per product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_primary ON product_images(product_id) WHERE is_primary;
+
 CREATE TABLE IF NOT EXISTS categories (
   id SERIAL PRIMARY KEY,
   name TEXT NOT NULL UNIQUE,
+  parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY,
+  customer_id INTEGER NOT NULL,
+  currency TEXT DEFAULT 'USD',
+  items JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER,
+  cart_id UUID,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'fulfilled', 'shipped', 'delivered', 'cancelled', 'refunded')),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  subtotal NUMERIC(12, 2) NOT NULL,
+  item_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  -- product_id and variant_id identify the stock to put back on cancellation;
+  -- product indexes and seeded IDs can be reused, so they are nulled on delete
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_index INTEGER NOT NULL,
+  variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+  variant_sku TEXT,
+  product_name TEXT NOT NULL,
+  unit_price NUMERIC(12, 2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  line_total NUMERIC(12, 2) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  name TEXT,
+  role TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'catalog_editor', 'admin')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  quota INTEGER NOT NULL CHECK (quota > 0),
+  created_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rotated_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  currency TEXT PRIMARY KEY CHECK (currency ~ '^[A-Z]{3}$'),
+  rate NUMERIC NOT NULL CHECK (rate > 0),
+  minor_units SMALLINT NOT NULL DEFAULT 2 CHECK (minor_units BETWEEN 0 AND 4),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The base currency (BASE_CURRENCY, default USD) always converts at 1
+INSERT INTO exchange_rates (currency, rate, minor_units) VALUES ('USD', 1, 2)
+ON CONFLICT (currency) DO NOTHING;
@@ -10,10 +10,14 @@
 -- Index for the 'index' field - used in multiple queries
 -- This is the most critical index as it's used for:
 -- - GET /api/products/:index (exact lookup)
--- - GET /api/products/search?search=123 (exact lookup)
+-- - GET /api/products/search?q=123 (exact lookup)
 -- - ORDER BY index in pagination queries
 CREATE INDEX IF NOT EXISTS idx_products_index ON products(index);
 
+-- Products are addressed by index in every read and write route, so it must be unique
+-- Used in: POST /api/products (duplicate index is rejected with 400)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_index_unique ON products(index);
+
 -- Index for category filtering - used in category-based queries
 -- Used in: GET /api/products/category/:categoryName
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
@@ -22,6 +26,11 @@ CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
 -- Optimizes: WHERE category = ? ORDER BY index
 CREATE INDEX IF NOT EXISTS idx_products_category_index ON products(category, index);
 
+-- Functional index for case-insensitive category matching
+-- Optimizes: WHERE LOWER(category) = ANY(?) and product/category joins
+-- Used in: category listings, category tree counts
+CREATE INDEX IF NOT EXISTS idx_products_category_lower ON products(LOWER(category));
+
 -- 2. SORTING INDEXES (Medium Priority)
 
 -- Index for latest products query (ORDER BY index DESC)
@@ -31,6 +40,31 @@ CREATE INDEX IF NOT EXISTS idx_products_index_desc ON products(index DESC);
 -- Index for pagination (ORDER BY index ASC)
 -- Used in: GET /api/products (main pagination)
 CREATE INDEX IF NOT EXISTS idx_products_index_asc ON products(index ASC);
+-- Sort indexes for whitelisted ?sort= options
+-- Each index ends with id, the tie-breaker appended to every ORDER BY,
+-- and serves both directions (e.g. price_asc and price_desc)
+-- Used in: GET /api/products, /search and /category/:categoryName
+CREATE INDEX IF NOT EXISTS idx_products_price_id ON products(price, id);
+CREATE INDEX IF NOT EXISTS idx_products_name_id ON products(name, id);
+CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_products_stock_id ON products(stock, id);
+CREATE INDEX IF NOT EXISTS idx_products_index_id ON products(index, id);
+
+-- 3. FULL-TEXT SEARCH (High Priority)
+
+-- Pre-computed weighted search vector kept in sync by PostgreSQL
+-- Weights: name (A) > brand (B) > short_description (C) > description (D)
+-- Used in: GET /api/products/search?q=wireless+headphones (text mode)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(brand, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(short_description, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'D')
+  ) STORED;
+
+-- GIN index for search_vector @@ tsquery matching
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
 
 
 -- =====================================================
@@ -41,6 +75,73 @@ CREATE INDEX IF NOT EXISTS idx_products_index_asc ON products(index ASC);
 -- Used in: GET /api/categories (ORDER BY name ASC)
 CREATE INDEX IF NOT EXISTS idx_categories_name_asc ON categories(name ASC);
 
--- Index for category name case-insensitive searches (if needed)
--- This creates a functional index for LOWER(name) comparisons
-CREATE INDEX IF NOT EXISTS idx_categories_name_lower ON categories(LOWER(name));
\ No newline at end of file
+-- Category names are unique case-insensitively, since products are matched
+-- to their category by LOWER(category) = LOWER(name)
+-- Used in: category product lookups, POST/PATCH /api/categories
+DROP INDEX IF EXISTS idx_categories_name_lower;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name_lower_unique ON categories(LOWER(name));
+
+-- Parent/child hierarchy (e.g. Electronics > Audio > Headphones)
+-- Added here as well so databases created before the column existed are upgraded
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT;
+
+-- Index for child lookups in recursive tree/breadcrumb/descendant queries
+-- Used in: GET /api/categories/tree, GET /api/products/:index (breadcrumbs),
+-- GET /api/products/category/:categoryName?includeDescendants=true
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+
+
+-- =====================================================
+-- PRODUCT VARIANTS TABLE INDEXES
+-- =====================================================
+
+-- The product_id, color, size unique constraint also serves variant lookups per product
+-- Used in: GET /api/products/:index (variants and option matrix)
+
+-- Functional indexes for case-insensitive variant color/size filtering
+-- Used in: GET /api/products?color=...&size=... (products match through any variant)
+CREATE INDEX IF NOT EXISTS idx_product_variants_color_lower ON product_variants(LOWER(color), product_id);
+CREATE INDEX IF NOT EXISTS idx_product_variants_size_lower ON product_variants(LOWER(size), product_id);
+
+
+-- =====================================================
+-- PRODUCT IMAGES TABLE INDEXES
+-- =====================================================
+
+-- Index for a product's gallery in display order
+-- Used in: GET /api/products/:index, GET /api/products/:index/images
+CREATE INDEX IF NOT EXISTS idx_product_images_product_position ON product_images(product_id, position, id);
+
+-- Partial index for the image worker's queue of uploads awaiting variants
+-- Used in: image worker (claiming pending and abandoned images)
+CREATE INDEX IF NOT EXISTS idx_product_images_unprocessed ON product_images(id) WHERE status IN ('pending', 'processing');
+
+
+-- =====================================================
+-- CARTS TABLE INDEXES
+-- =====================================================
+
+-- Index for looking up the persisted carts of a signed-in customer
+CREATE INDEX IF NOT EXISTS idx_carts_customer_id ON carts(customer_id);
+
+
+-- =====================================================
+-- ORDERS TABLE INDEXES
+-- =====================================================
+
+-- Composite index for paginated order history per customer (newest first)
+-- Used in: GET /api/orders?customerId=...
+CREATE INDEX IF NOT EXISTS idx_orders_customer_created ON orders(customer_id, created_at DESC, id DESC);
+
+-- Index for loading the line items of an order
+-- Used in: GET /api/orders/:id, GET /api/orders
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+
+-- Indexes for nulling the references of deleted products and variants
+-- Used in: DELETE /api/products/:index (order_items ON DELETE SET NULL)
+CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
+
+-- Index for reading the status history of an order in order
+-- Used in: GET /api/orders/:id/history
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at, id);
@@ -6,7 +6,11 @@
  * This script clears all existing products from the database
  * and inserts products from the products.json file.
  * 
- * Usage: node scripts/seed-from-json.js
+ * With --group-by, rows sharing an Internal ID (or a name) are inserted as
+ * one parent product with a variant per row (color, size, EAN, price and
+ * stock), instead of as unrelated products.
+ * 
+ * Usage: node scripts/seed-from-json.js [--group-by=internal_id|name]
  */
 
 import fs from 'fs';
@@ -20,6 +24,17 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Products at or below this stock level are marked limited_stock (see src/config/app.js)
+const LIMITED_STOCK_THRESHOLD = parseInt(process.env.LIMITED_STOCK_THRESHOLD) || 10;
+
+/**
+ * Functions returning the grouping key of a product row, per --group-by value
+ */
+const VARIANT_GROUP_KEYS = {
+  internal_id: product => product['Internal ID']?.toString().trim() || null,
+  name: product => product.Name?.trim().toLowerCase() || null
+};
+
 /**
  * Database connection function
  * @returns {Promise<Object>} Database client
@@ -46,7 +61,9 @@ async function clearProducts(client) {
     const result = await client.query('DELETE FROM products');
     console.log(`✅ Cleared ${result.rowCount} existing products`);
     await client.query('ALTER SEQUENCE products_id_seq RESTART WITH 1');
-    console.log('✅ Reset products_id_seq');
+    await client.query('ALTER SEQUENCE product_variants_id_seq RESTART WITH 1');
+    await client.query('ALTER SEQUENCE product_images_id_seq RESTART WITH 1');
+    console.log('✅ Reset products_id_seq, product_variants_id_seq and product_images_id_seq');
   } catch (error) {
     console.error('❌ Error clearing products:', error.message);
     throw error;
@@ -180,6 +197,158 @@ async function insertProducts(client, products) {
   }
 }
 
+/**
+ * Build the color/size combination of a product row
+ * @param {Object} product - Product object
+ * @returns {string} Combination key
+ */
+function variantOption(product) {
+  return JSON.stringify([product.Color ?? null, product.Size ?? null]);
+}
+
+/**
+ * Split product rows into standalone products and variant groups
+ * Rows are grouped by key in Index order. Rows without a key, groups of a
+ * single row and rows repeating a color/size combination already in their
+ * group stay standalone products.
+ * @param {Array} products - Array of product objects
+ * @param {string} groupBy - internal_id or name
+ * @returns {Object} { standalone: Array, groups: Array<Array> }
+ */
+function groupVariants(products, groupBy) {
+  const groupKey = VARIANT_GROUP_KEYS[groupBy];
+  const standalone = [];
+  const groups = new Map();
+
+  for (const product of [...products].sort((a, b) => a.Index - b.Index)) {
+    const key = groupKey(product);
+    if (!key) {
+      standalone.push(product);
+      continue;
+    }
+
+    const group = groups.get(key) || [];
+    const option = variantOption(product);
+    if (group.some(row => variantOption(row) === option)) {
+      standalone.push(product);
+      continue;
+    }
+
+    group.push(product);
+    groups.set(key, group);
+  }
+
+  const variantGroups = [];
+  for (const group of groups.values()) {
+    if (group.length > 1) {
+      variantGroups.push(group);
+    } else {
+      standalone.push(...group);
+    }
+  }
+
+  return { standalone, groups: variantGroups };
+}
+
+/**
+ * Insert each variant group as a parent product with one variant per row
+ * The parent takes the shared fields of the first row, the lowest price,
+ * the total stock, and color/size/EAN only where every row agrees. A
+ * variant keeps its own price only where it differs from the parent's.
+ * Variant SKUs are "<parent index>-<row index>".
+ * @param {Object} client - Database client
+ * @param {Array<Array>} groups - Variant groups from groupVariants
+ * @returns {Promise<Object>} Numbers of parent products and variants inserted
+ */
+async function insertVariantGroups(client, groups) {
+  console.log(`🧩 Inserting ${groups.length} products with variants...`);
+
+  const productQuery = `
+    INSERT INTO products (name, index, description, price, image_url, brand, category, stock, ean, color, size, availability, short_description, internal_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING id
+  `;
+  const variantQuery = `
+    INSERT INTO product_variants (product_id, sku, ean, color, size, price, stock)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `;
+
+  let insertedProducts = 0;
+  let insertedVariants = 0;
+
+  for (const group of groups) {
+    const [first] = group;
+    const shared = field => group.every(row => row[field] === first[field]) ? first[field] : null;
+    const rowPrice = row => row.Price === null || row.Price === undefined || row.Price === '' ? null : Number(row.Price);
+    const prices = group.map(rowPrice).filter(price => price !== null);
+    const price = prices.length > 0 ? Math.min(...prices) : null;
+    const stock = group.reduce((total, row) => total + (Number(row.Stock) || 0), 0);
+    const availability = shared('Availability') ??
+      (stock === 0 ? 'out_of_stock' : stock <= LIMITED_STOCK_THRESHOLD ? 'limited_stock' : 'in_stock');
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(productQuery, [
+        first.Name,
+        first.Index,
+        first.Description,
+        price,
+        first.Image,
+        first.Brand,
+        first.Category,
+        stock,
+        shared('EAN'),
+        shared('Color'),
+        shared('Size'),
+        availability,
+        first.ShortDescription,
+        first['Internal ID']
+      ]);
+
+      for (const row of group) {
+        await client.query(variantQuery, [
+          result.rows[0].id,
+          `${first.Index}-${row.Index}`,
+          row.EAN,
+          row.Color,
+          row.Size,
+          rowPrice(row) === price ? null : rowPrice(row),
+          Number(row.Stock) || 0
+        ]);
+      }
+
+      await client.query('COMMIT');
+      insertedProducts++;
+      insertedVariants += group.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`❌ Error inserting product ${first.Index} with variants:`, error.message);
+      // Continue with other products even if one fails
+    }
+  }
+
+  console.log(`✅ Successfully inserted ${insertedProducts} products with ${insertedVariants} variants`);
+  return { insertedProducts, insertedVariants };
+}
+
+/**
+ * Add each product's image_url as the primary image of its gallery
+ * @param {Object} client - Database client
+ * @returns {Promise<number>} Number of images inserted
+ */
+async function insertPrimaryImages(client) {
+  console.log('🖼️  Inserting primary product images...');
+
+  const result = await client.query(`
+    INSERT INTO product_images (product_id, url, alt_text, position, is_primary)
+    SELECT id, image_url, name, 0, TRUE FROM products WHERE image_url IS NOT NULL
+  `);
+
+  console.log(`✅ Successfully inserted ${result.rowCount} product images`);
+  return result.rowCount;
+}
+
 /**
  * Update database schema to include new columns if they don't exist
  * @param {Object} client - Database client
@@ -198,7 +367,40 @@ async function updateSchema(client) {
       'ALTER TABLE products ADD COLUMN IF NOT EXISTS size TEXT',
       'ALTER TABLE products ADD COLUMN IF NOT EXISTS availability TEXT',
       'ALTER TABLE products ADD COLUMN IF NOT EXISTS short_description TEXT',
-      'ALTER TABLE products ADD COLUMN IF NOT EXISTS internal_id TEXT'
+      'ALTER TABLE products ADD COLUMN IF NOT EXISTS internal_id TEXT',
+      'ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT',
+      `CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        sku TEXT NOT NULL UNIQUE,
+        ean BIGINT,
+        color TEXT,
+        size TEXT,
+        price NUMERIC CHECK (price >= 0),
+        stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (product_id, color, size)
+      )`,
+      `CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        alt_text TEXT,
+        width INTEGER CHECK (width > 0),
+        height INTEGER CHECK (height > 0),
+        position INTEGER NOT NULL DEFAULT 0 CHECK (position >= 0),
+        is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_primary ON product_images(product_id) WHERE is_primary',
+      'ALTER TABLE product_images ADD COLUMN IF NOT EXISTS storage_key TEXT',
+      `ALTER TABLE product_images ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'ready'
+        CHECK (status IN ('pending', 'processing', 'ready', 'failed'))`,
+      `ALTER TABLE product_images ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]'`,
+      'ALTER TABLE product_images ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0',
+      'ALTER TABLE product_images ADD COLUMN IF NOT EXISTS processing_error TEXT'
     ];
     
     for (const query of alterQueries) {
@@ -219,6 +421,12 @@ async function main() {
   let client;
   
   try {
+    const groupByArg = process.argv.find(arg => arg.startsWith('--group-by='));
+    const groupBy = groupByArg?.slice('--group-by='.length);
+    if (groupByArg && !VARIANT_GROUP_KEYS[groupBy]) {
+      throw new Error(`--group-by must be one of: ${Object.keys(VARIANT_GROUP_KEYS).join(', ')}`);
+    }
+
     console.log('🚀 Starting database seeding process...');
     
     // Check if products.json exists
@@ -249,8 +457,24 @@ async function main() {
     // Insert categories first
     const insertedCategoriesCount = await insertCategories(client, products);
     
-    // Insert new products
-    const insertedProductsCount = await insertProducts(client, products);
+    // Insert new products, grouping variants when requested
+    const { standalone, groups } = groupBy
+      ? groupVariants(products, groupBy)
+      : { standalone: products, groups: [] };
+    if (groupBy) {
+      console.log(`🧩 Grouped by ${groupBy}: ${groups.length} products with variants, ${standalone.length} standalone products`);
+    }
+
+    let insertedProductsCount = await insertProducts(client, standalone);
+    let insertedVariantsCount = 0;
+    if (groups.length > 0) {
+      const { insertedProducts, insertedVariants } = await insertVariantGroups(client, groups);
+      insertedProductsCount += insertedProducts;
+      insertedVariantsCount = insertedVariants;
+    }
+    
+    // Start every gallery with the product's image
+    const insertedImagesCount = await insertPrimaryImages(client);
     
     // Verify the insertion
     const productCountResult = await client.query('SELECT COUNT(*) FROM products');
@@ -264,6 +488,10 @@ async function main() {
     console.log(`📊 Total products in database: ${totalProducts}`);
     console.log(`✅ Categories inserted: ${insertedCategoriesCount}`);
     console.log(`✅ Products inserted: ${insertedProductsCount}`);
+    if (groupBy) {
+      console.log(`✅ Variants inserted: ${insertedVariantsCount}`);
+    }
+    console.log(`✅ Product images inserted: ${insertedImagesCount}`);
     
   } catch (error) {
     console.error('❌ Seeding failed:', error.message);
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Exchange rate loading script
+ * 
+ * This script inserts or updates currency exchange rates from a JSON file
+ * with the same shape as the PUT /api/exchange-rates body:
+ * 
+ *   { "rates": [{ "currency": "EUR", "rate": 0.92 }, { "currency": "JPY", "rate": 151.2 }] }
+ * 
+ * Rates are units of a currency per 1 unit of BASE_CURRENCY (default USD);
+ * minorUnits defaults to the currency's ISO 4217 minor units. Currencies
+ * not in the file are left unchanged.
+ * 
+ * Usage: node scripts/04-load-exchange-rates.js [file] (default: exchange-rates.json)
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeExchangeRates, UPSERT_EXCHANGE_RATES_QUERY } from '../src/utils/currency.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Database connection function
+ * @returns {Promise<Object>} Database client
+ */
+async function getDatabaseConnection() {
+  const { Client } = await import('pg');
+  
+  const client = new Client({
+    connectionString: process.env.DB_CONNECTION_STRING
+  });
+  
+  await client.connect();
+  return client;
+}
+
+/**
+ * Read and validate the rates of an exchange rate file
+ * @param {string} ratesPath - Path of the JSON file
+ * @returns {Array<Object>} Rates with minorUnits
+ */
+function readRates(ratesPath) {
+  if (!fs.existsSync(ratesPath)) {
+    throw new Error(`${ratesPath} file not found`);
+  }
+
+  const { rates } = JSON.parse(fs.readFileSync(ratesPath, 'utf8'));
+  if (!Array.isArray(rates) || !rates.length) {
+    throw new Error('The file must contain a non-empty "rates" array');
+  }
+
+  for (const { currency, rate, minorUnits } of rates) {
+    if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0) ||
+        (minorUnits !== undefined && !(Number.isInteger(minorUnits) && minorUnits >= 0 && minorUnits <= 4))) {
+      throw new Error(`Invalid exchange rate: ${JSON.stringify({ currency, rate, minorUnits })}`);
+    }
+  }
+
+  return normalizeExchangeRates(rates);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let client;
+  
+  try {
+    const ratesPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'exchange-rates.json'));
+
+    console.log(`📖 Reading exchange rates from ${ratesPath}...`);
+    const rates = readRates(ratesPath);
+    console.log(`📊 Found ${rates.length} exchange rates`);
+    
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    client = await getDatabaseConnection();
+    console.log('✅ Connected to database');
+    
+    const result = await client.query(UPSERT_EXCHANGE_RATES_QUERY, [
+      rates.map(rate => rate.currency),
+      rates.map(rate => rate.rate),
+      rates.map(rate => rate.minorUnits)
+    ]);
+    
+    console.log(`\n🎉 Loaded ${result.rowCount} exchange rates`);
+    for (const row of result.rows) {
+      console.log(`   ${row.currency}: ${row.rate} (${row.minorUnits} decimals)`);
+    }
+    console.log('ℹ️  Running instances pick up the new rates when their cached rates expire;');
+    console.log('   purge the "exchange-rates" cache tag to apply them immediately.');
+    
+  } catch (error) {
+    console.error('❌ Loading exchange rates failed:', error.message);
+    process.exit(1);
+  } finally {
+    if (client) {
+      await client.end();
+      console.log('🔌 Database connection closed');
+    }
+  }
+}
+
+// Run the script
+main();
@@ -49,17 +49,132 @@ export const config = {
   },
 
   // Rate limiting configuration
-  // rateLimit: {
-  //   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  //   maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  //   skipSuccessfulRequests: process.env.RATE_LIMIT_SKIP_SUCCESS === 'true',
-  //   skipFailedRequests: process.env.RATE_LIMIT_SKIP_FAILED === 'true'
-  // },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000,
+    // Client IPs that are never limited (e.g. load-testing runners)
+    allowlist: process.env.RATE_LIMIT_ALLOWLIST?.split(',').map(ip => ip.trim()).filter(Boolean) || [],
+    // Stricter limits for individual routes, keyed by "METHOD /route/url"
+    routes: {
+      'POST /api/auth/login': { windowMs: 15 * 60 * 1000, maxRequests: 10 },
+      'POST /api/auth/register': { windowMs: 60 * 60 * 1000, maxRequests: 10 },
+      'POST /api/auth/refresh': { windowMs: 15 * 60 * 1000, maxRequests: 60 },
+      'POST /api/orders': { windowMs: 60 * 1000, maxRequests: 20 }
+    }
+  },
 
   // Cache configuration
   cache: {
     ttl: parseInt(process.env.CACHE_TTL) || 60, // 60 seconds
-    prefix: process.env.CACHE_PREFIX || 'api'
+    prefix: process.env.CACHE_PREFIX || 'api',
+    // Seconds an expired entry is still served (X-Cache: STALE) while it is refreshed
+    staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 120,
+    // Lock held by the request rebuilding an entry, so other instances wait instead of querying
+    lock: {
+      ttlMs: parseInt(process.env.CACHE_LOCK_TTL_MS) || 5000,
+      waitMs: parseInt(process.env.CACHE_LOCK_WAIT_MS) || 3000,
+      pollMs: 50
+    },
+    // Cached responses are stored serialized, with gzip and brotli variants
+    compression: {
+      enabled: process.env.CACHE_COMPRESSION !== 'false',
+      brotliQuality: parseInt(process.env.CACHE_BROTLI_QUALITY) || 5 // 0-11, paid once per cache fill
+    },
+    // In-process LRU in front of Redis, kept coherent through pub/sub invalidation messages
+    l1: {
+      enabled: process.env.CACHE_L1_ENABLED !== 'false',
+      maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES) || 500,
+      maxBytes: parseInt(process.env.CACHE_L1_MAX_BYTES) || 32 * 1024 * 1024, // 32MB
+      ttl: parseInt(process.env.CACHE_L1_TTL) || 10, // seconds, bounds drift if a message is missed
+      channel: 'cache:invalidate'
+    }
+  },
+
+  // HTTP caching configuration
+  httpCache: {
+    // Cache-Control per catalog route, keyed by "METHOD /route/url". Routes listed
+    // here also get ETags and answer conditional requests with 304 Not Modified.
+    routes: {
+      'GET /api/products': 'public, max-age=30, stale-while-revalidate=60',
+      'GET /api/products/search': 'public, max-age=30, stale-while-revalidate=60',
+      'GET /api/products/latest': 'public, max-age=15, stale-while-revalidate=30',
+      'GET /api/products/:index': 'public, max-age=60, stale-while-revalidate=120',
+      'GET /api/products/category/:categoryName': 'public, max-age=30, stale-while-revalidate=60',
+      'GET /api/categories': 'public, max-age=120, stale-while-revalidate=300',
+      'GET /api/categories/tree': 'public, max-age=120, stale-while-revalidate=300'
+    }
+  },
+
+  // Authentication configuration
+  auth: {
+    accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60, // 15 minutes
+    refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60, // 30 days
+    scrypt: {
+      keyLength: 64,
+      cost: parseInt(process.env.SCRYPT_COST) || 16384,
+      blockSize: 8,
+      parallelization: 1
+    }
+  },
+
+  // Partner API key configuration
+  apiKeys: {
+    defaultQuota: parseInt(process.env.API_KEY_DEFAULT_QUOTA) || 1000, // requests per quota window
+    quotaWindowMs: parseInt(process.env.API_KEY_QUOTA_WINDOW_MS) || 60 * 60 * 1000, // 1 hour
+    cacheTtl: parseInt(process.env.API_KEY_CACHE_TTL) || 60, // seconds a key lookup is cached in Redis
+    lastUsedInterval: 60 // seconds between last_used_at updates per key
+  },
+
+  // Shopping cart configuration
+  cart: {
+    ttl: parseInt(process.env.CART_TTL) || 7 * 24 * 60 * 60, // 7 days
+    maxItems: parseInt(process.env.CART_MAX_ITEMS) || 100,
+    maxQuantity: parseInt(process.env.CART_MAX_QUANTITY) || 99,
+    // Lock serializing changes to one cart, which are read-modify-writes of the whole cart
+    lock: {
+      ttlMs: parseInt(process.env.CART_LOCK_TTL_MS) || 5000,
+      waitMs: parseInt(process.env.CART_LOCK_WAIT_MS) || 2000,
+      pollMs: 25
+    }
+  },
+
+  // Currency configuration
+  currency: {
+    // Exchange rates are units of a currency per 1 unit of the base currency
+    base: process.env.BASE_CURRENCY || 'USD',
+    ratesCacheTtl: parseInt(process.env.EXCHANGE_RATES_CACHE_TTL) || 300 // seconds
+  },
+
+  // Media configuration (uploaded product images)
+  media: {
+    storage: {
+      driver: process.env.MEDIA_STORAGE_DRIVER || 'local',
+      // Directory the local driver writes originals and variants to
+      root: process.env.MEDIA_ROOT || './media'
+    },
+    // URL prefix of stored files; the local driver's files are served under /media/
+    publicUrl: process.env.MEDIA_PUBLIC_URL || '/media',
+    maxUploadBytes: parseInt(process.env.MEDIA_MAX_UPLOAD_BYTES) || 8 * 1024 * 1024, // 8MB, below security.maxRequestSize
+    // Every upload gets its own keys, so stored files never change
+    cacheControl: 'public, max-age=31536000, immutable',
+    // Widths of the thumbnails generated per upload, each as WebP and JPEG
+    thumbnailWidths: process.env.MEDIA_THUMBNAIL_WIDTHS?.split(',').map(width => parseInt(width)).filter(width => width > 0) || [200, 800],
+    quality: parseInt(process.env.MEDIA_QUALITY) || 80,
+    // Background worker generating thumbnails and WebP variants of pending uploads
+    worker: {
+      enabled: process.env.MEDIA_WORKER_ENABLED !== 'false',
+      pollMs: parseInt(process.env.MEDIA_WORKER_POLL_MS) || 5000,
+      maxAttempts: 3,
+      retryDelay: 30, // seconds per failed attempt before a failed image is retried
+      staleAfter: 300 // seconds before an image stuck in processing is claimed again
+    }
+  },
+
+  // Inventory configuration
+  inventory: {
+    // Products at or below this stock level are marked limited_stock
+    limitedStockThreshold: parseInt(process.env.LIMITED_STOCK_THRESHOLD) || 10
   },
 
   // Pagination configuration
@@ -0,0 +1,60 @@
+/**
+ * Authentication plugin for Fastify
+ *
+ * Provides JWT session support with:
+ * - Access token signing and verification via @fastify/jwt
+ * - A `fastify.authenticate` decorator usable as a preHandler on any route
+ * - 401 responses in the same shape as formatErrorResponse
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import fp from 'fastify-plugin';
+import jwt from '@fastify/jwt';
+import { AuthenticationError, formatErrorResponse } from '../utils/errorHandler.js';
+
+/**
+ * Authentication plugin function
+ * Registers @fastify/jwt and decorates fastify instance with authenticate
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Plugin options
+ */
+async function authPlugin(fastify, options) {
+  await fastify.register(jwt, {
+    secret: fastify.config.JWT_SECRET
+  });
+
+  /**
+   * Verify the bearer access token and populate request.user
+   * Usage: fastify.get('/me', { preHandler: fastify.authenticate }, handler)
+   */
+  fastify.decorate('authenticate', async function authenticate(request, reply) {
+    try {
+      await request.jwtVerify();
+    } catch (error) {
+      const authError = new AuthenticationError(
+        error.code === 'FST_JWT_AUTHORIZATION_TOKEN_EXPIRED'
+          ? 'Access token has expired'
+          : 'Authentication required'
+      );
+
+      fastify.log.warn('Authentication failed', {
+        reason: error.code || error.message,
+        url: request.url,
+        method: request.method,
+        ip: request.ip
+      });
+
+      return reply.code(401).send(formatErrorResponse(authError));
+    }
+  });
+
+  fastify.log.info('Auth plugin registered successfully');
+}
+
+export default fp(authPlugin, {
+  name: 'auth-plugin',
+  dependencies: ['@fastify/env']
+});
@@ -0,0 +1,82 @@
+/**
+ * Local cache plugin for Fastify
+ *
+ * Provides the in-process (L1) cache in front of Redis with:
+ * - A `fastify.localCache` LRU bounded by entry count and bytes
+ * - A Redis pub/sub subscription evicting entries purged on any instance
+ * - A full flush whenever the subscription reconnects, since messages
+ *   published while it was down are lost
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import fp from 'fastify-plugin';
+import { config } from '../config/app.js';
+import { evictLocalEntries } from '../utils/cache.js';
+import { LruCache } from '../utils/lruCache.js';
+
+/**
+ * Local cache plugin function
+ * Subscribes to cache invalidation messages and decorates fastify instance with localCache
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Plugin options
+ */
+async function localCachePlugin(fastify, options) {
+  const { enabled, maxEntries, maxBytes, channel } = config.cache.l1;
+
+  if (!enabled) {
+    fastify.log.info('Local cache disabled, serving cache hits from Redis only');
+    return;
+  }
+
+  const localCache = new LruCache({ maxEntries, maxBytes });
+
+  // A subscribed connection cannot run other commands, so it gets its own
+  const subscriber = fastify.redis.duplicate();
+
+  subscriber.on('message', (messageChannel, message) => {
+    try {
+      const evicted = evictLocalEntries(localCache, JSON.parse(message));
+      fastify.log.debug('Local cache invalidation received', { evicted });
+    } catch (error) {
+      localCache.clear();
+      fastify.log.warn('Invalid cache invalidation message, local cache flushed', {
+        error: error.message
+      });
+    }
+  });
+
+  subscriber.on('ready', () => {
+    localCache.clear();
+  });
+
+  subscriber.on('close', () => {
+    localCache.clear();
+  });
+
+  subscriber.on('error', (error) => {
+    fastify.log.error('Cache invalidation subscriber error:', {
+      error: error.message,
+      code: error.code
+    });
+  });
+
+  await subscriber.subscribe(channel);
+
+  fastify.decorate('localCache', localCache);
+
+  fastify.addHook('onClose', async () => {
+    if (subscriber.status !== 'end') {
+      await subscriber.quit();
+    }
+  });
+
+  fastify.log.info('Local cache plugin registered successfully', { maxEntries, maxBytes, channel });
+}
+
+export default fp(localCachePlugin, {
+  name: 'local-cache-plugin',
+  dependencies: ['redis-plugin']
+});
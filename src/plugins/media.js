@@ -0,0 +1,106 @@
+/**
+ * Media plugin for Fastify
+ *
+ * Provides uploaded media handling with:
+ * - A `fastify.storage` driver for originals and variants (see utils/storage.js)
+ * - A background image worker generating the variants of pending uploads,
+ *   woken by `fastify.imageWorker.wake()` after an upload and polling for
+ *   uploads made on other instances
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import fp from 'fastify-plugin';
+import { config } from '../config/app.js';
+import { claimPendingImage, processProductImage } from '../utils/productImages.js';
+import { createStorage } from '../utils/storage.js';
+
+/**
+ * Media plugin function
+ * Decorates fastify instance with storage and imageWorker, and runs the worker
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Plugin options
+ */
+async function mediaPlugin(fastify, options) {
+  const storage = createStorage(config.media.storage, config.media.publicUrl);
+  fastify.decorate('storage', storage);
+
+  const { enabled, pollMs } = config.media.worker;
+
+  if (!enabled) {
+    fastify.decorate('imageWorker', { wake() {} });
+    fastify.log.info('Image worker disabled, uploads are processed by other instances');
+    return;
+  }
+
+  let timer = null;
+  let draining = null;
+  let wokenWhileDraining = false;
+  let closing = false;
+
+  /**
+   * Process pending images one at a time until none are left
+   */
+  async function drain() {
+    while (!closing) {
+      const image = await claimPendingImage(fastify);
+      if (!image) {
+        return;
+      }
+      await processProductImage(fastify, image);
+    }
+  }
+
+  /**
+   * Start draining now, or again right after the current pass
+   */
+  function wake() {
+    if (closing) {
+      return;
+    }
+    if (draining) {
+      wokenWhileDraining = true;
+      return;
+    }
+
+    clearTimeout(timer);
+    draining = drain()
+      .catch(error => {
+        fastify.log.error('Image worker error:', { error: error.message });
+      })
+      .finally(() => {
+        draining = null;
+        if (wokenWhileDraining) {
+          wokenWhileDraining = false;
+          wake();
+        } else if (!closing) {
+          timer = setTimeout(wake, pollMs);
+          timer.unref();
+        }
+      });
+  }
+
+  fastify.decorate('imageWorker', { wake });
+
+  fastify.addHook('onReady', async () => {
+    wake();
+  });
+
+  // Let the image being processed finish before the database pool closes
+  fastify.addHook('preClose', async () => {
+    closing = true;
+    clearTimeout(timer);
+    await draining;
+  });
+
+  fastify.log.info('Media plugin registered successfully', {
+    driver: config.media.storage.driver,
+    pollMs
+  });
+}
+
+export default fp(mediaPlugin, {
+  name: 'media-plugin'
+});
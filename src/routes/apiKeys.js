@@ -0,0 +1,260 @@
+import { config } from '../config/app.js';
+import { API_KEY_COLUMNS, apiKeyCacheKey, generateApiKey } from '../utils/apiKeys.js';
+import { invalidateCache } from '../utils/cache.js';
+import { executeQuery, MAX_INTEGER, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import { asyncHandler, handleDatabaseError, NotFoundError } from '../utils/errorHandler.js';
+import { API_KEY_SCOPES, PERMISSIONS } from '../utils/permissions.js';
+
+/**
+ * API key routes module
+ *
+ * Handles partner API key management endpoints (admin only) including:
+ * - GET /api/api-keys - List API keys
+ * - POST /api/api-keys - Create an API key
+ * - POST /api/api-keys/:id/rotate - Replace the secret of an API key
+ * - DELETE /api/api-keys/:id - Revoke an API key
+ *
+ * The plain text key is only returned by create and rotate. Partners send
+ * it in the X-API-Key header.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Input validation schemas for request parameters
+ */
+const apiKeyParamsSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN
+    }
+  },
+  required: ['id']
+};
+
+const createApiKeyBodySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: API_KEY_SCOPES }
+    },
+    quota: { type: 'integer', minimum: 1, maximum: MAX_INTEGER, default: config.apiKeys.defaultQuota }
+  },
+  required: ['name', 'scopes'],
+  additionalProperties: false
+};
+
+const apiKeySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    prefix: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string' } },
+    quota: { type: 'integer' },
+    createdBy: { type: ['integer', 'null'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    rotatedAt: { type: ['string', 'null'], format: 'date-time' },
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+    revokedAt: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+const apiKeySecretSchema = {
+  type: 'object',
+  properties: {
+    ...apiKeySchema.properties,
+    key: { type: 'string' }
+  }
+};
+
+/**
+ * Main API key routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function apiKeyRoutes(fastify, opts) {
+  const routeConfig = {
+    permission: PERMISSIONS.API_KEYS_MANAGE
+  };
+
+  /**
+   * Run an API key query, mapping PostgreSQL errors to application errors
+   * @param {string} query - SQL query string
+   * @param {Array} params - Query parameters
+   * @param {string} operation - Description of the operation for logging
+   * @returns {Promise<Object>} Query result
+   */
+  async function runApiKeyQuery(query, params, operation) {
+    try {
+      return await executeQuery(fastify, query, params, operation);
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, operation);
+    }
+  }
+
+
+  /**
+   * GET /api/api-keys
+   * List API keys, including revoked ones, newest first
+   */
+  fastify.get('/', {
+    config: routeConfig,
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            apiKeys: {
+              type: 'array',
+              items: apiKeySchema
+            }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const result = await runApiKeyQuery(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC, id DESC`,
+      [],
+      'listing API keys'
+    );
+
+    return { apiKeys: result.rows };
+  }));
+
+
+  /**
+   * POST /api/api-keys
+   * Create an API key
+   *
+   * Body:
+   * - name (required) - Partner or integration name
+   * - scopes (required) - Any of catalog:read, orders:write, stats:read
+   * - quota (optional) - Requests allowed per quota window (default: 1000 per hour)
+   *
+   * Response:
+   * - 201 with the key record and the plain text `key` (shown only once)
+   */
+  fastify.post('/', {
+    config: routeConfig,
+    schema: {
+      body: createApiKeyBodySchema,
+      response: {
+        201: apiKeySecretSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { name, scopes, quota } = request.body;
+    const { apiKey, prefix, hash } = generateApiKey();
+
+    const result = await runApiKeyQuery(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, quota, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${API_KEY_COLUMNS}`,
+      [name, prefix, hash, scopes, quota, request.user.customerId],
+      'creating API key'
+    );
+
+    fastify.log.info('API key created', {
+      apiKeyId: result.rows[0].id,
+      name,
+      scopes,
+      createdBy: request.user.customerId
+    });
+
+    reply.code(201);
+    return { ...result.rows[0], key: apiKey };
+  }));
+
+
+  /**
+   * POST /api/api-keys/:id/rotate
+   * Replace the secret of an active API key
+   * The previous secret stops working immediately.
+   *
+   * Response:
+   * - Key record with the new plain text `key` (shown only once)
+   */
+  fastify.post('/:id/rotate', {
+    config: routeConfig,
+    schema: {
+      params: apiKeyParamsSchema,
+      response: {
+        200: apiKeySecretSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const keyId = parseInt(request.params.id);
+    const { apiKey, prefix, hash } = generateApiKey();
+
+    const result = await runApiKeyQuery(
+      `WITH previous AS (
+         SELECT id AS key_id, key_hash AS previous_hash
+         FROM api_keys
+         WHERE id = $3 AND revoked_at IS NULL
+         FOR UPDATE
+       )
+       UPDATE api_keys
+       SET key_prefix = $1, key_hash = $2, rotated_at = CURRENT_TIMESTAMP
+       FROM previous
+       WHERE api_keys.id = previous.key_id
+       RETURNING previous_hash AS "previousHash", ${API_KEY_COLUMNS}`,
+      [prefix, hash, keyId],
+      'rotating API key'
+    );
+
+    if (!result.rows.length) {
+      throw new NotFoundError('API key', keyId);
+    }
+
+    const { previousHash, ...record } = result.rows[0];
+    await invalidateCache(fastify, { keys: [apiKeyCacheKey(previousHash)] }, `API key ${keyId} rotated`);
+
+    fastify.log.info('API key rotated', { apiKeyId: keyId, rotatedBy: request.user.customerId });
+
+    return { ...record, key: apiKey };
+  }));
+
+
+  /**
+   * DELETE /api/api-keys/:id
+   * Revoke an API key
+   *
+   * Response:
+   * - 204 on success
+   */
+  fastify.delete('/:id', {
+    config: routeConfig,
+    schema: {
+      params: apiKeyParamsSchema
+    }
+  }, asyncHandler(async (request, reply) => {
+    const keyId = parseInt(request.params.id);
+
+    const result = await runApiKeyQuery(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING key_hash`,
+      [keyId],
+      'revoking API key'
+    );
+
+    if (!result.rows.length) {
+      throw new NotFoundError('API key', keyId);
+    }
+
+    await invalidateCache(fastify, { keys: [apiKeyCacheKey(result.rows[0].key_hash)] }, `API key ${keyId} revoked`);
+
+    fastify.log.info('API key revoked', { apiKeyId: keyId, revokedBy: request.user.customerId });
+
+    reply.code(204).send();
+  }));
+}
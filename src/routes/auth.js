@@ -0,0 +1,379 @@
+import { executeQuery, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import {
+  consumeRefreshToken,
+  hashPassword,
+  issueTokens,
+  revokeAllRefreshTokens,
+  revokeRefreshToken,
+  verifyPassword
+} from '../utils/auth.js';
+import {
+  asyncHandler,
+  AuthenticationError,
+  handleDatabaseError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errorHandler.js';
+import { PERMISSIONS, ROLES } from '../utils/permissions.js';
+
+/**
+ * Authentication routes module
+ *
+ * Handles customer account API endpoints including:
+ * - POST /api/auth/register - Register a customer and start a session
+ * - POST /api/auth/login - Log in with email and password
+ * - POST /api/auth/refresh - Exchange a refresh token for a new token pair
+ * - POST /api/auth/logout - Revoke a refresh token
+ * - POST /api/auth/logout/all - Revoke every refresh token of the signed-in customer
+ * - GET /api/auth/me - Retrieve the signed-in customer
+ * - PATCH /api/auth/customers/:id/role - Change a customer's role (admin only)
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Precomputed hash checked when a login email is unknown, so the response
+ * time does not reveal which emails are registered
+ */
+const dummyPasswordHash = hashPassword('not-a-real-password');
+
+/**
+ * Input validation schemas for request bodies
+ */
+const credentialsProperties = {
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  password: { type: 'string', minLength: 8, maxLength: 128 }
+};
+
+const registerBodySchema = {
+  type: 'object',
+  properties: {
+    ...credentialsProperties,
+    name: { type: ['string', 'null'], minLength: 1, maxLength: 100 }
+  },
+  required: ['email', 'password'],
+  additionalProperties: false
+};
+
+const loginBodySchema = {
+  type: 'object',
+  properties: {
+    email: credentialsProperties.email,
+    password: { type: 'string', minLength: 1, maxLength: 128 }
+  },
+  required: ['email', 'password'],
+  additionalProperties: false
+};
+
+const refreshTokenBodySchema = {
+  type: 'object',
+  properties: {
+    refreshToken: { type: 'string', minLength: 1, maxLength: 128 }
+  },
+  required: ['refreshToken'],
+  additionalProperties: false
+};
+
+const customerParamsSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN
+    }
+  },
+  required: ['id']
+};
+
+const roleBodySchema = {
+  type: 'object',
+  properties: {
+    role: { type: 'string', enum: ROLES }
+  },
+  required: ['role'],
+  additionalProperties: false
+};
+
+const customerSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string' },
+    name: { type: ['string', 'null'] },
+    role: { type: 'string' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const sessionSchema = {
+  type: 'object',
+  properties: {
+    customer: customerSchema,
+    accessToken: { type: 'string' },
+    refreshToken: { type: 'string' },
+    tokenType: { type: 'string' },
+    expiresIn: { type: 'integer' }
+  }
+};
+
+const CUSTOMER_COLUMNS = 'id, email, name, role, created_at AS "createdAt"';
+
+/**
+ * Main authentication routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function authRoutes(fastify, opts) {
+
+  /**
+   * Load a customer by ID
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   * @throws {NotFoundError} If the customer does not exist
+   */
+  async function fetchCustomer(customerId) {
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE id = $1`,
+        [customerId],
+        'fetching customer'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'fetching customer');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Customer', customerId);
+    }
+
+    return result.rows[0];
+  }
+
+
+  /**
+   * POST /api/auth/register
+   * Register a customer
+   *
+   * Body:
+   * - email, password (required; password 8-128 characters)
+   * - name (optional)
+   *
+   * Response:
+   * - 201 with the customer and a new session
+   * - 400 if the email is already registered
+   */
+  fastify.post('/register', {
+    schema: {
+      body: registerBodySchema,
+      response: {
+        201: sessionSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const email = request.body.email.toLowerCase();
+    const passwordHash = await hashPassword(request.body.password);
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `INSERT INTO customers (email, password_hash, name)
+         VALUES ($1, $2, $3)
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [email, passwordHash, request.body.name ?? null],
+        'registering customer'
+      );
+    } catch (dbError) {
+      if (dbError.code === '23505') {
+        throw new ValidationError('Email is already registered');
+      }
+      throw handleDatabaseError(dbError, 'registering customer');
+    }
+
+    const customer = result.rows[0];
+    fastify.log.info('Customer registered', { customerId: customer.id, ip: request.ip });
+
+    reply.code(201);
+    return { customer, ...(await issueTokens(fastify, customer)) };
+  }));
+
+
+  /**
+   * POST /api/auth/login
+   * Log in with email and password
+   *
+   * Response:
+   * - Customer and a new session
+   * - 401 if the credentials are wrong
+   */
+  fastify.post('/login', {
+    schema: {
+      body: loginBodySchema,
+      response: {
+        200: sessionSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const email = request.body.email.toLowerCase();
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `SELECT ${CUSTOMER_COLUMNS}, password_hash FROM customers WHERE email = $1`,
+        [email],
+        'fetching customer for login'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'logging in');
+    }
+
+    const row = result.rows[0];
+    const valid = await verifyPassword(request.body.password, row ? row.password_hash : await dummyPasswordHash);
+
+    if (!row || !valid) {
+      fastify.log.warn('Failed login attempt', { email, ip: request.ip });
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    const { password_hash, ...customer } = row;
+    fastify.log.info('Customer logged in', { customerId: customer.id, ip: request.ip });
+
+    return { customer, ...(await issueTokens(fastify, customer)) };
+  }));
+
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a refresh token for a new access and refresh token
+   * The old refresh token is revoked (rotation).
+   */
+  fastify.post('/refresh', {
+    schema: {
+      body: refreshTokenBodySchema,
+      response: {
+        200: sessionSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const customerId = await consumeRefreshToken(fastify, request.body.refreshToken);
+
+    let customer;
+    try {
+      customer = await fetchCustomer(customerId);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new AuthenticationError('Refresh token is invalid or has expired');
+      }
+      throw error;
+    }
+
+    return { customer, ...(await issueTokens(fastify, customer)) };
+  }));
+
+
+  /**
+   * POST /api/auth/logout
+   * Revoke a refresh token
+   *
+   * Response:
+   * - 204 (also when the token was already revoked or expired)
+   */
+  fastify.post('/logout', {
+    schema: {
+      body: refreshTokenBodySchema
+    }
+  }, asyncHandler(async (request, reply) => {
+    const revoked = await revokeRefreshToken(fastify, request.body.refreshToken);
+
+    fastify.log.info('Customer logged out', { revoked, ip: request.ip });
+
+    reply.code(204).send();
+  }));
+
+
+  /**
+   * POST /api/auth/logout/all
+   * Revoke every refresh token of the signed-in customer
+   * Access tokens already issued stay valid until they expire.
+   */
+  fastify.post('/logout/all', {
+    preHandler: fastify.authenticate
+  }, asyncHandler(async (request, reply) => {
+    const customerId = request.user.customerId;
+    const revoked = await revokeAllRefreshTokens(fastify, customerId);
+
+    fastify.log.info('Customer logged out of all sessions', { customerId, revoked, ip: request.ip });
+
+    reply.code(204).send();
+  }));
+
+
+  /**
+   * GET /api/auth/me
+   * Retrieve the signed-in customer
+   */
+  fastify.get('/me', {
+    preHandler: fastify.authenticate,
+    schema: {
+      response: {
+        200: customerSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    return fetchCustomer(request.user.customerId);
+  }));
+
+
+  /**
+   * PATCH /api/auth/customers/:id/role
+   * Change a customer's role
+   * The new role applies to access tokens issued from the next login or refresh.
+   *
+   * Body:
+   * - role (required) - customer, catalog_editor or admin
+   */
+  fastify.patch('/customers/:id/role', {
+    config: {
+      permission: PERMISSIONS.CUSTOMERS_MANAGE
+    },
+    schema: {
+      params: customerParamsSchema,
+      body: roleBodySchema,
+      response: {
+        200: customerSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const customerId = parseInt(request.params.id);
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `UPDATE customers SET role = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING ${CUSTOMER_COLUMNS}`,
+        [request.body.role, customerId],
+        'changing customer role'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'changing customer role');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Customer', customerId);
+    }
+
+    fastify.log.info('Customer role changed', {
+      customerId,
+      role: request.body.role,
+      changedBy: request.user.customerId
+    });
+
+    return result.rows[0];
+  }));
+}
@@ -0,0 +1,103 @@
+import { CACHE_KEY_NAMESPACES, purgeCache } from '../utils/cache.js';
+import { asyncHandler, CacheError } from '../utils/errorHandler.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+/**
+ * Cache administration routes module
+ *
+ * Handles cache management endpoints (admin only):
+ * - POST /api/cache/purge - Purge cached responses by tag, key or key pattern
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Patterns must start with a cache namespace, so a purge can never delete
+ * carts, sessions or rate limit counters
+ */
+const cachePatternRegex = `^(${CACHE_KEY_NAMESPACES.join('|')})`;
+
+const purgeBodySchema = {
+  type: 'object',
+  properties: {
+    tags: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', minLength: 1, maxLength: 200 }
+    },
+    keys: {
+      type: 'array',
+      maxItems: 100,
+      items: { type: 'string', pattern: cachePatternRegex, maxLength: 500 }
+    },
+    patterns: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', pattern: cachePatternRegex, maxLength: 500 }
+    }
+  },
+  minProperties: 1,
+  additionalProperties: false
+};
+
+/**
+ * Main cache routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function cacheRoutes(fastify, opts) {
+
+  /**
+   * POST /api/cache/purge
+   * Purge cached responses
+   *
+   * Body (at least one):
+   * - tags - Cache tags, e.g. "product:42", "category:audio", "listing", "categories" or "exchange-rates"
+   * - keys - Exact cache keys
+   * - patterns - Redis glob-style key patterns (matched with SCAN, never KEYS)
+   *
+   * Keys and patterns must start with "products:", "categories:" or "exchange-rates:".
+   *
+   * Response:
+   * - deleted: Number of cache keys deleted
+   */
+  fastify.post('/purge', {
+    config: {
+      permission: PERMISSIONS.CACHE_MANAGE
+    },
+    schema: {
+      body: purgeBodySchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            deleted: { type: 'integer' },
+            tags: { type: 'array', items: { type: 'string' } },
+            keys: { type: 'array', items: { type: 'string' } },
+            patterns: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { tags = [], keys = [], patterns = [] } = request.body;
+
+    let deleted;
+    try {
+      deleted = await purgeCache(fastify, { tags, keys, patterns });
+    } catch (cacheError) {
+      throw new CacheError('Failed to purge cache', cacheError);
+    }
+
+    fastify.log.info('Cache purged', {
+      tags,
+      keys,
+      patterns,
+      deleted,
+      purgedBy: request.user.customerId
+    });
+
+    return { deleted, tags, keys, patterns };
+  }));
+}
@@ -0,0 +1,334 @@
+import {
+  buildCartView,
+  createCart,
+  deleteCart,
+  isSameLine,
+  loadCart,
+  removeCartLine,
+  saveCart,
+  setCartLine,
+  withCartLock
+} from '../utils/carts.js';
+import { MAX_INTEGER, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import { asyncHandler, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * Cart routes module
+ *
+ * Handles shopping cart API endpoints including:
+ * - POST /api/carts - Create a cart
+ * - GET /api/carts/:cartId - Retrieve a cart with line totals and stock validation
+ * - POST /api/carts/:cartId/items - Add a product to a cart
+ * - PUT /api/carts/:cartId/items/:index - Set the quantity of a cart line
+ * - DELETE /api/carts/:cartId/items/:index - Remove a cart line
+ * - DELETE /api/carts/:cartId - Delete a cart
+ *
+ * Carts are stored in Redis with a TTL; carts of signed-in customers are
+ * also persisted to Postgres (see src/utils/carts.js). Anonymous carts are
+ * reachable by anyone holding their ID; customer carts only by their owner.
+ * Changes to one cart are serialized by its lock (409 if it stays busy).
+ * Products with variants are added by variantId, and their lines are
+ * addressed with a `variantId` query parameter.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Input validation schemas for request parameters
+ */
+const cartParamsSchema = {
+  type: 'object',
+  properties: {
+    cartId: {
+      type: 'string',
+      pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+    }
+  },
+  required: ['cartId']
+};
+
+const cartItemParamsSchema = {
+  type: 'object',
+  properties: {
+    ...cartParamsSchema.properties,
+    index: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN
+    }
+  },
+  required: ['cartId', 'index']
+};
+
+const cartItemQuerySchema = {
+  type: 'object',
+  properties: {
+    variantId: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN,
+      description: 'Variant ID of the line, for products with variants'
+    }
+  }
+};
+
+const addItemBodySchema = {
+  type: 'object',
+  properties: {
+    index: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+    variantId: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+    quantity: { type: 'integer', minimum: 1, default: 1 }
+  },
+  required: ['index'],
+  additionalProperties: false
+};
+
+const updateItemBodySchema = {
+  type: 'object',
+  properties: {
+    quantity: { type: 'integer', minimum: 0 }
+  },
+  required: ['quantity'],
+  additionalProperties: false
+};
+
+const cartResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    customerId: { type: ['integer', 'null'] },
+    currency: { type: 'string' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          variantId: { type: ['integer', 'null'] },
+          sku: { type: ['string', 'null'] },
+          color: { type: ['string', 'null'] },
+          size: { type: ['string', 'null'] },
+          name: { type: ['string', 'null'] },
+          image_url: { type: ['string', 'null'] },
+          quantity: { type: 'integer' },
+          unitPrice: { type: 'number' },
+          lineTotal: { type: 'number' },
+          stock: { type: 'integer' },
+          availability: { type: ['string', 'null'] },
+          available: { type: 'boolean' },
+          issue: { type: ['string', 'null'] }
+        }
+      }
+    },
+    itemCount: { type: 'integer' },
+    subtotal: { type: 'number' },
+    valid: { type: 'boolean' },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' }
+  }
+};
+
+/**
+ * Main cart routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function cartRoutes(fastify, opts) {
+
+  /**
+   * Load a cart the caller may access
+   * A customer cart belonging to someone else is reported as not found so
+   * its existence is not revealed.
+   * @param {Object} request - Fastify request
+   * @returns {Promise<Object>} Cart
+   * @throws {NotFoundError} If the cart does not exist or belongs to another customer
+   */
+  async function loadRequestCart(request) {
+    const cart = await loadCart(fastify, request.params.cartId);
+
+    if (cart.customerId !== null && cart.customerId !== request.user?.customerId) {
+      throw new NotFoundError('Cart', request.params.cartId);
+    }
+
+    return cart;
+  }
+
+
+  /**
+   * POST /api/carts
+   * Create an empty cart
+   * Carts created with an access token belong to the signed-in customer and
+   * are also persisted to Postgres.
+   *
+   * Response:
+   * - 201 with the cart
+   */
+  fastify.post('/', {
+    schema: {
+      response: {
+        201: cartResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const customerId = request.user?.customerId ?? null;
+    const cart = await saveCart(fastify, createCart(customerId));
+
+    fastify.log.info('Cart created', {
+      cartId: cart.id,
+      customerId,
+      ip: request.ip
+    });
+
+    reply.code(201);
+    return buildCartView(fastify, cart);
+  }));
+
+
+  /**
+   * GET /api/carts/:cartId
+   * Retrieve a cart with current prices, line totals and stock validation
+   *
+   * Response:
+   * - Cart with `items`, `subtotal`, `currency` and `valid` (false if any line cannot be fulfilled)
+   */
+  fastify.get('/:cartId', {
+    schema: {
+      params: cartParamsSchema,
+      response: {
+        200: cartResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const cart = await loadRequestCart(request);
+
+    return buildCartView(fastify, cart);
+  }));
+
+
+  /**
+   * POST /api/carts/:cartId/items
+   * Add a product to a cart, incrementing the quantity if it is already present
+   *
+   * Body:
+   * - index (required) - Product index
+   * - variantId (optional) - Variant ID, required for products with variants
+   * - quantity (optional) - Quantity to add (default: 1)
+   */
+  fastify.post('/:cartId/items', {
+    schema: {
+      params: cartParamsSchema,
+      body: addItemBodySchema,
+      response: {
+        200: cartResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { index, variantId = null, quantity } = request.body;
+    const cart = await withCartLock(fastify, request.params.cartId, async () => {
+      const cart = await loadRequestCart(request);
+      const existing = cart.items.find(item => isSameLine(item, index, variantId));
+
+      await setCartLine(fastify, cart, index, (existing?.quantity ?? 0) + quantity, variantId);
+      return saveCart(fastify, cart);
+    });
+
+    fastify.log.info('Cart item added', { cartId: cart.id, index, variantId, quantity });
+
+    return buildCartView(fastify, cart);
+  }));
+
+
+  /**
+   * PUT /api/carts/:cartId/items/:index
+   * Set the quantity of a cart line (0 removes it)
+   *
+   * Query parameters:
+   * - variantId (optional) - Variant ID of the line
+   *
+   * Body:
+   * - quantity (required)
+   */
+  fastify.put('/:cartId/items/:index', {
+    schema: {
+      params: cartItemParamsSchema,
+      querystring: cartItemQuerySchema,
+      body: updateItemBodySchema,
+      response: {
+        200: cartResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const variantId = request.query.variantId ? parseInt(request.query.variantId) : null;
+    const { quantity } = request.body;
+    const cart = await withCartLock(fastify, request.params.cartId, async () => {
+      const cart = await loadRequestCart(request);
+
+      if (quantity > 0 && !cart.items.some(item => isSameLine(item, productIndex, variantId))) {
+        throw new ValidationError('Product is not in the cart; add it with POST /items first');
+      }
+
+      await setCartLine(fastify, cart, productIndex, quantity, variantId);
+      return saveCart(fastify, cart);
+    });
+
+    fastify.log.info('Cart item updated', { cartId: cart.id, index: productIndex, variantId, quantity });
+
+    return buildCartView(fastify, cart);
+  }));
+
+
+  /**
+   * DELETE /api/carts/:cartId/items/:index
+   * Remove a cart line
+   *
+   * Query parameters:
+   * - variantId (optional) - Variant ID of the line
+   */
+  fastify.delete('/:cartId/items/:index', {
+    schema: {
+      params: cartItemParamsSchema,
+      querystring: cartItemQuerySchema,
+      response: {
+        200: cartResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const variantId = request.query.variantId ? parseInt(request.query.variantId) : null;
+    const cart = await withCartLock(fastify, request.params.cartId, async () => {
+      const cart = await loadRequestCart(request);
+
+      removeCartLine(cart, productIndex, variantId);
+      return saveCart(fastify, cart);
+    });
+
+    fastify.log.info('Cart item removed', { cartId: cart.id, index: productIndex, variantId });
+
+    return buildCartView(fastify, cart);
+  }));
+
+
+  /**
+   * DELETE /api/carts/:cartId
+   * Delete a cart
+   *
+   * Response:
+   * - 204 on success
+   */
+  fastify.delete('/:cartId', {
+    schema: {
+      params: cartParamsSchema
+    }
+  }, asyncHandler(async (request, reply) => {
+    const cart = await withCartLock(fastify, request.params.cartId, async () => {
+      const cart = await loadRequestCart(request);
+
+      await deleteCart(fastify, cart);
+      return cart;
+    });
+
+    fastify.log.info('Cart deleted', { cartId: cart.id });
+
+    reply.code(204).send();
+  }));
+}
@@ -1,8 +1,27 @@
+import {
+  CACHE_TAGS,
+  cacheThrough,
+  categoryTag,
+  purgeCacheTags
+} from '../utils/cache.js';
+import { POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import {
+  asyncHandler,
+  handleDatabaseError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errorHandler.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
 /**
  * Categories routes module
  * 
  * Handles all category-related API endpoints including:
  * - GET /api/categories - Retrieve all categories
+ * - GET /api/categories/tree - Retrieve the category hierarchy with product counts
+ * - POST /api/categories - Create a category
+ * - PATCH /api/categories/:id - Rename or move a category (renames cascade to products)
+ * - DELETE /api/categories/:id - Delete a category, optionally moving its products
  * 
  * Features:
  * - Redis caching for improved performance
@@ -41,6 +60,203 @@ async function executeQuery(fastify, query, params, operation) {
   });
 }
 
+/**
+ * Input validation schemas for category management
+ */
+const categoryParamsSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN,
+      description: 'Category ID (must be positive integer)'
+    }
+  },
+  required: ['id']
+};
+
+const categoryBodyProperties = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 50,
+    description: 'Category name (unique)'
+  },
+  parent_id: {
+    type: ['integer', 'null'],
+    minimum: 1,
+    description: 'Parent category ID (null for a top-level category)'
+  }
+};
+
+const createCategoryBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: categoryBodyProperties
+};
+
+const updateCategoryBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: categoryBodyProperties
+};
+
+const categorySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    parent_id: { type: ['integer', 'null'] },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Recursive tree node schema, registered with fastify.addSchema
+ */
+const categoryTreeNodeSchema = {
+  $id: 'categoryTreeNode',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    parent_id: { type: ['integer', 'null'] },
+    productCount: { type: 'integer' },
+    totalProductCount: { type: 'integer' },
+    children: {
+      type: 'array',
+      items: { $ref: 'categoryTreeNode#' }
+    }
+  }
+};
+
+/**
+ * Build a nested tree from flat category rows
+ * totalProductCount adds up the products of a node and all its descendants.
+ * @param {Array} rows - Category rows with id, name, parent_id and product_count
+ * @returns {Array} Root nodes, each with nested children
+ */
+function buildCategoryTree(rows) {
+  const nodes = new Map(rows.map(row => [row.id, {
+    id: row.id,
+    name: row.name,
+    parent_id: row.parent_id,
+    productCount: parseInt(row.product_count),
+    totalProductCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sumProducts = (node) => {
+    node.totalProductCount = node.children.reduce(
+      (total, child) => total + sumProducts(child),
+      node.productCount
+    );
+    return node.totalProductCount;
+  };
+  roots.forEach(sumProducts);
+
+  return roots;
+}
+
+/**
+ * Run category changes in a single transaction
+ * Application errors are rethrown as-is; PostgreSQL errors are mapped
+ * through handleDatabaseError.
+ * @param {Object} fastify - Fastify instance
+ * @param {Function} fn - Transaction body receiving the pg client
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<*>} Result of fn
+ */
+async function runCategoryTransaction(fastify, fn, operation) {
+  try {
+    return await fastify.pg.transact(fn);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    fastify.log.error(`Database error during ${operation}:`, {
+      error: error.message,
+      code: error.code,
+      detail: error.detail
+    });
+    throw handleDatabaseError(error, operation);
+  }
+}
+
+/**
+ * Check that no other category has a name differing only in case
+ * Products are matched to categories case-insensitively, so such categories
+ * would share their products. The unique index on LOWER(name) enforces this
+ * against concurrent requests; this check gives the clearer error.
+ * @param {Object} client - Transaction client
+ * @param {string} name - Category name
+ * @param {number|null} exceptId - Category being renamed
+ * @throws {ValidationError} If the name is taken
+ */
+async function assertCategoryNameAvailable(client, name, exceptId = null) {
+  const result = await client.query(
+    'SELECT id, name FROM categories WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2',
+    [name, exceptId]
+  );
+
+  if (result.rows.length) {
+    throw new ValidationError(`Category name is already used by "${result.rows[0].name}"`, {
+      id: result.rows[0].id
+    });
+  }
+}
+
+/**
+ * Lock a category row for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {number} id - Category ID
+ * @returns {Promise<Object>} Category row
+ * @throws {NotFoundError} If the category does not exist
+ */
+async function lockCategory(client, id) {
+  const result = await client.query(
+    'SELECT id, name, parent_id, created_at FROM categories WHERE id = $1 FOR UPDATE',
+    [id]
+  );
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Category', id);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Invalidate cached categories, product listings scoped to the affected
+ * categories and, when products changed, all product listings
+ * Listings including descendants are tagged with every category in the
+ * subtree, so purging a moved category and its new parent also purges the
+ * listings of all their ancestors.
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<string>} names - Names of the categories affected by the change
+ * @param {number} productsChanged - Number of products updated by the change
+ * @param {string} reason - Description of the change for logging
+ */
+async function invalidateCategoryCaches(fastify, names, productsChanged, reason) {
+  await purgeCacheTags(fastify, [
+    CACHE_TAGS.CATEGORIES,
+    ...(productsChanged > 0 ? [CACHE_TAGS.LISTING] : []),
+    ...names.map(categoryTag)
+  ], reason);
+}
+
 /**
  * Main categories routes function
  * @param {Object} fastify - Fastify instance
@@ -48,15 +264,22 @@ async function executeQuery(fastify, query, params, operation) {
  */
 export default async function categoryRoutes(fastify, opts) {
 
+  fastify.addSchema(categoryTreeNodeSchema);
+
   /**
    * GET /api/categories
    * Retrieve all categories from the categories table
    * 
    * Response:
-   * - categories: Array of category objects
+   * - categories: Array of category objects with product metadata:
+   *   productCount, inStockCount (stock > 0), minPrice, maxPrice, avgPrice
+   *   and imageUrl (first in-stock product image, by index)
    * - total: Total number of categories
    */
   fastify.get('/', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
     schema: {
       response: {
         200: {
@@ -69,7 +292,14 @@ export default async function categoryRoutes(fastify, opts) {
                 properties: {
                   id: { type: 'integer' },
                   name: { type: 'string' },
-                  created_at: { type: 'string', format: 'date-time' }
+                  parent_id: { type: ['integer', 'null'] },
+                  created_at: { type: 'string', format: 'date-time' },
+                  productCount: { type: 'integer' },
+                  inStockCount: { type: 'integer' },
+                  minPrice: { type: ['number', 'null'] },
+                  maxPrice: { type: ['number', 'null'] },
+                  avgPrice: { type: ['number', 'null'] },
+                  imageUrl: { type: ['string', 'null'] }
                 }
               }
             },
@@ -90,61 +320,58 @@ export default async function categoryRoutes(fastify, opts) {
       // Generate cache key
       const cacheKey = 'categories:all';
       
-      // Try to get data from Redis cache first
-      try {
-        const cachedData = await fastify.redis.get(cacheKey);
-        if (cachedData) {
-          fastify.log.info('Cache hit for categories', { cacheKey });
-          const result = JSON.parse(cachedData);
-          
-          reply.header('X-Cache', 'HIT');
-          reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-          
-          return result;
-        }
-      } catch (cacheError) {
-        fastify.log.warn('Redis cache error, proceeding with database query', {
-          error: cacheError.message,
-          cacheKey
-        });
-      }
-
-      // Cache miss - fetch from database
-      fastify.log.info('Cache miss, fetching categories from database', { cacheKey });
+      // Read through the Redis cache (5 minutes, longer TTL for categories as they don't change often)
+      const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+        ttl: 300,
+        tags: [CACHE_TAGS.CATEGORIES],
+        reply
+      }, async () => {
+        // Cache miss - fetch from database
+        fastify.log.info('Cache miss, fetching categories from database', { cacheKey });
       
-      // Get all categories ordered by name
-      const result = await executeQuery(
-        fastify,
-        'SELECT id, name, created_at FROM categories ORDER BY name ASC',
-        [],
-        'fetching all categories'
-      );
+        // Get all categories ordered by name, with product metadata from a single aggregate pass
+        const result = await executeQuery(
+          fastify,
+          `SELECT
+             c.id,
+             c.name,
+             c.parent_id,
+             c.created_at,
+             COUNT(p.id)::integer AS "productCount",
+             (COUNT(p.id) FILTER (WHERE p.stock > 0))::integer AS "inStockCount",
+             MIN(p.price)::float8 AS "minPrice",
+             MAX(p.price)::float8 AS "maxPrice",
+             ROUND(AVG(p.price)::numeric, 2)::float8 AS "avgPrice",
+             (ARRAY_AGG(p.image_url ORDER BY (p.stock > 0) DESC NULLS LAST, p.index ASC)
+               FILTER (WHERE p.image_url IS NOT NULL))[1] AS "imageUrl"
+           FROM categories c
+           LEFT JOIN products p ON LOWER(p.category) = LOWER(c.name)
+           GROUP BY c.id
+           ORDER BY c.name ASC`,
+          [],
+          'fetching all categories'
+        );
 
-      const response = {
-        categories: result.rows,
-        total: result.rows.length
-      };
+        return {
+          categories: result.rows,
+          total: result.rows.length
+        };
+      });
 
-      // Cache the result in Redis for 5 minutes (longer TTL for categories as they don't change often)
-      try {
-        await fastify.redis.set(cacheKey, JSON.stringify(response), 'EX', 300);
-        fastify.log.info('Cached categories data', { cacheKey, ttl: 300 });
-      } catch (cacheError) {
-        fastify.log.warn('Failed to cache categories data', {
-          error: cacheError.message,
-          cacheKey
-        });
+      reply.header('X-Cache', cacheStatus);
+      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+      if (cacheStatus !== 'MISS') {
+        fastify.log.info('Cache hit for categories', { cacheKey, cacheStatus });
+        return data;
       }
 
-      reply.header('X-Cache', 'MISS');
-      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-      
       fastify.log.info('Categories fetched successfully', {
-        count: result.rows.length,
+        count: data.total,
         responseTime: `${Date.now() - startTime}ms`
       });
 
-      return response;
+      return data;
 
     } catch (error) {
       fastify.log.error('Error fetching categories:', {
@@ -162,4 +389,388 @@ export default async function categoryRoutes(fastify, opts) {
     }
   });
 
+  /**
+   * GET /api/categories/tree
+   * Retrieve the whole category hierarchy
+   * 
+   * Response:
+   * - categories: Top-level category nodes, each with nested children,
+   *   productCount (products directly in the category) and
+   *   totalProductCount (including all descendant categories)
+   * - total: Total number of categories
+   */
+  fastify.get('/tree', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
+    schema: {
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            categories: {
+              type: 'array',
+              items: { $ref: 'categoryTreeNode#' }
+            },
+            total: { type: 'integer' }
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const startTime = Date.now();
+    
+    try {
+      fastify.log.info('Fetching category tree', {
+        userAgent: request.headers['user-agent'],
+        ip: request.ip
+      });
+
+      // Generate cache key
+      const cacheKey = 'categories:tree';
+      
+      // Read through the Redis cache (5 minutes, same as the flat category list)
+      const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+        ttl: 300,
+        tags: [CACHE_TAGS.CATEGORIES],
+        reply
+      }, async () => {
+        // Cache miss - fetch from database
+        fastify.log.info('Cache miss, fetching category tree from database', { cacheKey });
+      
+        // Flat list with direct product counts; nesting is done in memory
+        const result = await executeQuery(
+          fastify,
+          `SELECT c.id, c.name, c.parent_id, COUNT(p.id) AS product_count
+           FROM categories c
+           LEFT JOIN products p ON LOWER(p.category) = LOWER(c.name)
+           GROUP BY c.id
+           ORDER BY c.name ASC`,
+          [],
+          'fetching category tree'
+        );
+
+        return {
+          categories: buildCategoryTree(result.rows),
+          total: result.rows.length
+        };
+      });
+
+      reply.header('X-Cache', cacheStatus);
+      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+      if (cacheStatus !== 'MISS') {
+        fastify.log.info('Cache hit for category tree', { cacheKey, cacheStatus });
+        return data;
+      }
+
+      fastify.log.info('Category tree fetched successfully', {
+        count: data.total,
+        roots: data.categories.length,
+        responseTime: `${Date.now() - startTime}ms`
+      });
+
+      return data;
+
+    } catch (error) {
+      fastify.log.error('Error fetching category tree:', {
+        error: error.message,
+        stack: error.stack,
+        userAgent: request.headers['user-agent'],
+        ip: request.ip
+      });
+
+      reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to fetch category tree',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  /**
+   * POST /api/categories
+   * Create a category
+   * 
+   * Body:
+   * - name: Category name (unique, case-sensitive as stored)
+   * - parent_id: Parent category ID (optional, default: top-level)
+   * 
+   * Response:
+   * - 201 with the created category object
+   */
+  fastify.post('/', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      body: createCategoryBodySchema,
+      response: {
+        201: categorySchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const name = request.body.name.trim();
+    const parentId = request.body.parent_id ?? null;
+    if (!name) {
+      throw new ValidationError('Category name cannot be empty');
+    }
+
+    fastify.log.info('Creating category', { name, parentId, ip: request.ip });
+
+    const { category, parent } = await runCategoryTransaction(fastify, async (client) => {
+      const parent = parentId !== null ? await lockCategory(client, parentId) : null;
+      await assertCategoryNameAvailable(client, name);
+
+      const result = await client.query(
+        'INSERT INTO categories (name, parent_id) VALUES ($1, $2) RETURNING id, name, parent_id, created_at',
+        [name, parentId]
+      );
+      return { category: result.rows[0], parent };
+    }, 'creating category');
+
+    await invalidateCategoryCaches(
+      fastify,
+      [category.name, ...(parent ? [parent.name] : [])],
+      0,
+      `category ${category.id} created`
+    );
+
+    fastify.log.info('Category created successfully', { id: category.id, name, parentId });
+
+    reply.code(201);
+    return category;
+  }));
+
+  /**
+   * PATCH /api/categories/:id
+   * Rename a category and/or move it under another parent
+   * 
+   * Body (at least one):
+   * - name: New category name. Products in the old category (matched
+   *   case-insensitively) are renamed in the same transaction.
+   * - parent_id: New parent category ID, or null to make it top-level.
+   *   A category cannot be moved under itself or one of its descendants.
+   * 
+   * Response:
+   * - category: Updated category object
+   * - productsUpdated: Number of products moved to the new name
+   */
+  fastify.patch('/:id', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: categoryParamsSchema,
+      body: updateCategoryBodySchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            category: categorySchema,
+            productsUpdated: { type: 'integer' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const id = parseInt(request.params.id);
+    const name = request.body.name !== undefined ? request.body.name.trim() : undefined;
+    const parentId = request.body.parent_id;
+    if (name === '') {
+      throw new ValidationError('Category name cannot be empty');
+    }
+
+    fastify.log.info('Updating category', { id, name, parentId, ip: request.ip });
+
+    const result = await runCategoryTransaction(fastify, async (client) => {
+      const current = await lockCategory(client, id);
+      let parent = null;
+
+      if (name !== undefined) {
+        await assertCategoryNameAvailable(client, name, id);
+      }
+
+      if (parentId !== undefined && parentId !== null) {
+        parent = await lockCategory(client, parentId);
+
+        // Reject moves that would create a cycle
+        const cycleResult = await client.query(
+          `WITH RECURSIVE descendants AS (
+             SELECT id FROM categories WHERE id = $1
+             UNION
+             SELECT c.id FROM categories c JOIN descendants d ON c.parent_id = d.id
+           )
+           SELECT 1 FROM descendants WHERE id = $2`,
+          [id, parentId]
+        );
+        if (cycleResult.rows.length) {
+          throw new ValidationError('Category cannot be moved under itself or one of its descendants');
+        }
+      }
+
+      const categoryResult = await client.query(
+        `UPDATE categories
+         SET name = COALESCE($1, name),
+             parent_id = CASE WHEN $2 THEN $3::integer ELSE parent_id END
+         WHERE id = $4
+         RETURNING id, name, parent_id, created_at`,
+        [name ?? null, parentId !== undefined, parentId ?? null, id]
+      );
+
+      let productsUpdated = 0;
+      if (name !== undefined && name !== current.name) {
+        const productsResult = await client.query(
+          'UPDATE products SET category = $1, updated_at = CURRENT_TIMESTAMP WHERE LOWER(category) = LOWER($2)',
+          [name, current.name]
+        );
+        productsUpdated = productsResult.rowCount;
+      }
+
+      return {
+        previousName: current.name,
+        category: categoryResult.rows[0],
+        parentName: parent?.name,
+        productsUpdated
+      };
+    }, 'updating category');
+
+    await invalidateCategoryCaches(
+      fastify,
+      [result.previousName, result.category.name, ...(result.parentName ? [result.parentName] : [])],
+      result.productsUpdated,
+      `category ${id} updated`
+    );
+
+    fastify.log.info('Category updated successfully', {
+      id,
+      previousName: result.previousName,
+      name: result.category.name,
+      parentId: result.category.parent_id,
+      productsUpdated: result.productsUpdated
+    });
+
+    return {
+      category: result.category,
+      productsUpdated: result.productsUpdated
+    };
+  }));
+
+  /**
+   * DELETE /api/categories/:id
+   * Delete a category
+   * 
+   * Query Parameters:
+   * - moveTo: ID of the category that receives the deleted category's products.
+   *   Required unless the category has no products.
+   * 
+   * Child categories are re-attached to the deleted category's parent.
+   * 
+   * Response:
+   * - deleted: The deleted category object
+   * - movedTo: The category that received the products (if any)
+   * - productsMoved: Number of products moved
+   * - childrenReparented: Number of child categories re-attached
+   */
+  fastify.delete('/:id', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: categoryParamsSchema,
+      querystring: {
+        type: 'object',
+        properties: {
+          moveTo: {
+            type: 'string',
+            pattern: POSITIVE_INTEGER_PATTERN,
+            description: 'Target category ID for the products of the deleted category'
+          }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            deleted: categorySchema,
+            movedTo: categorySchema,
+            productsMoved: { type: 'integer' },
+            childrenReparented: { type: 'integer' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const id = parseInt(request.params.id);
+    const moveTo = request.query.moveTo ? parseInt(request.query.moveTo) : null;
+
+    if (moveTo === id) {
+      throw new ValidationError('Target category must differ from the deleted category');
+    }
+
+    fastify.log.info('Deleting category', { id, moveTo, ip: request.ip });
+
+    const result = await runCategoryTransaction(fastify, async (client) => {
+      const category = await lockCategory(client, id);
+      const target = moveTo ? await lockCategory(client, moveTo) : null;
+
+      let productsMoved = 0;
+      if (target) {
+        const moveResult = await client.query(
+          'UPDATE products SET category = $1, updated_at = CURRENT_TIMESTAMP WHERE LOWER(category) = LOWER($2)',
+          [target.name, category.name]
+        );
+        productsMoved = moveResult.rowCount;
+      } else {
+        const countResult = await client.query(
+          'SELECT COUNT(*) AS total FROM products WHERE LOWER(category) = LOWER($1)',
+          [category.name]
+        );
+        const productCount = parseInt(countResult.rows[0].total);
+
+        if (productCount > 0) {
+          throw new ValidationError('Category is not empty; provide a moveTo category for its products', {
+            productCount
+          });
+        }
+      }
+
+      const childrenResult = await client.query(
+        'UPDATE categories SET parent_id = $1 WHERE parent_id = $2',
+        [category.parent_id, id]
+      );
+
+      await client.query('DELETE FROM categories WHERE id = $1', [id]);
+
+      return {
+        deleted: category,
+        movedTo: target,
+        productsMoved,
+        childrenReparented: childrenResult.rowCount
+      };
+    }, 'deleting category');
+
+    await invalidateCategoryCaches(
+      fastify,
+      [result.deleted.name, ...(result.movedTo ? [result.movedTo.name] : [])],
+      result.productsMoved,
+      `category ${id} deleted`
+    );
+
+    fastify.log.info('Category deleted successfully', {
+      id,
+      name: result.deleted.name,
+      movedTo: result.movedTo?.id,
+      productsMoved: result.productsMoved,
+      childrenReparented: result.childrenReparented
+    });
+
+    return {
+      deleted: result.deleted,
+      ...(result.movedTo && { movedTo: result.movedTo }),
+      productsMoved: result.productsMoved,
+      childrenReparented: result.childrenReparented
+    };
+  }));
+
 } 
\ No newline at end of file
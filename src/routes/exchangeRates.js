@@ -0,0 +1,221 @@
+import { config } from '../config/app.js';
+import { CACHE_TAGS, purgeCacheTags } from '../utils/cache.js';
+import { normalizeExchangeRates, UPSERT_EXCHANGE_RATES_QUERY } from '../utils/currency.js';
+import { executeQuery } from '../utils/database.js';
+import { asyncHandler, handleDatabaseError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+/**
+ * Exchange rate routes module
+ *
+ * Handles the currency exchange rates used to convert product prices:
+ * - GET /api/exchange-rates - List exchange rates
+ * - PUT /api/exchange-rates - Insert or update exchange rates (admin only)
+ * - DELETE /api/exchange-rates/:currency - Remove an exchange rate (admin only)
+ *
+ * Rates are units of a currency per 1 unit of the base currency. Every
+ * change purges the cached rates and all responses with converted prices.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Input validation schemas for request parameters
+ */
+const currencyCodeSchema = {
+  type: 'string',
+  pattern: '^[A-Z]{3}$'
+};
+
+const exchangeRateSchema = {
+  type: 'object',
+  properties: {
+    currency: { type: 'string' },
+    rate: { type: 'number' },
+    minorUnits: { type: 'integer' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const exchangeRatesResponseSchema = {
+  type: 'object',
+  properties: {
+    base: { type: 'string' },
+    rates: {
+      type: 'array',
+      items: exchangeRateSchema
+    }
+  }
+};
+
+const upsertExchangeRatesBodySchema = {
+  type: 'object',
+  properties: {
+    rates: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 500,
+      items: {
+        type: 'object',
+        properties: {
+          currency: currencyCodeSchema,
+          rate: { type: 'number', exclusiveMinimum: 0 },
+          minorUnits: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 4,
+            description: 'Decimals prices are rounded to (default: ISO 4217 minor units)'
+          }
+        },
+        required: ['currency', 'rate'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['rates'],
+  additionalProperties: false
+};
+
+/**
+ * Main exchange rate routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function exchangeRateRoutes(fastify, opts) {
+
+  /**
+   * Run an exchange rate query, mapping PostgreSQL errors to application errors
+   * @param {string} query - SQL query string
+   * @param {Array} params - Query parameters
+   * @param {string} operation - Description of the operation for logging
+   * @returns {Promise<Object>} Query result
+   */
+  async function runExchangeRateQuery(query, params, operation) {
+    try {
+      return await executeQuery(fastify, query, params, operation);
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, operation);
+    }
+  }
+
+
+  /**
+   * GET /api/exchange-rates
+   * List exchange rates by currency code
+   *
+   * Response:
+   * - base: Base currency (rate 1)
+   * - rates: Array of { currency, rate, minorUnits, updatedAt }
+   */
+  fastify.get('/', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
+    schema: {
+      response: {
+        200: exchangeRatesResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const result = await runExchangeRateQuery(
+      `SELECT currency, rate, minor_units AS "minorUnits", updated_at AS "updatedAt"
+       FROM exchange_rates ORDER BY currency`,
+      [],
+      'listing exchange rates'
+    );
+
+    return { base: config.currency.base, rates: result.rows };
+  }));
+
+
+  /**
+   * PUT /api/exchange-rates
+   * Insert or update exchange rates; currencies not listed are left unchanged
+   *
+   * Body:
+   * - rates (required) - Array of { currency, rate, minorUnits? }; the base
+   *   currency may only be listed with a rate of 1
+   *
+   * Response:
+   * - base: Base currency
+   * - rates: The inserted or updated rates
+   */
+  fastify.put('/', {
+    config: {
+      permission: PERMISSIONS.EXCHANGE_RATES_MANAGE
+    },
+    schema: {
+      body: upsertExchangeRatesBodySchema,
+      response: {
+        200: exchangeRatesResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const rates = normalizeExchangeRates(request.body.rates);
+
+    const result = await runExchangeRateQuery(
+      UPSERT_EXCHANGE_RATES_QUERY,
+      [
+        rates.map(rate => rate.currency),
+        rates.map(rate => rate.rate),
+        rates.map(rate => rate.minorUnits)
+      ],
+      'updating exchange rates'
+    );
+
+    await purgeCacheTags(fastify, [CACHE_TAGS.EXCHANGE_RATES], 'exchange rates updated');
+
+    fastify.log.info('Exchange rates updated', {
+      currencies: rates.map(rate => rate.currency),
+      updatedBy: request.user.customerId
+    });
+
+    return { base: config.currency.base, rates: result.rows };
+  }));
+
+
+  /**
+   * DELETE /api/exchange-rates/:currency
+   * Remove an exchange rate; prices can no longer be converted to or from it
+   *
+   * Response:
+   * - 204 on success, 400 for the base currency, 404 if there is no rate
+   */
+  fastify.delete('/:currency', {
+    config: {
+      permission: PERMISSIONS.EXCHANGE_RATES_MANAGE
+    },
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          currency: currencyCodeSchema
+        },
+        required: ['currency']
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { currency } = request.params;
+
+    if (currency === config.currency.base) {
+      throw new ValidationError(`The base currency ${currency} cannot be removed`);
+    }
+
+    const result = await runExchangeRateQuery(
+      'DELETE FROM exchange_rates WHERE currency = $1 RETURNING currency',
+      [currency],
+      'deleting exchange rate'
+    );
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Exchange rate', currency);
+    }
+
+    await purgeCacheTags(fastify, [CACHE_TAGS.EXCHANGE_RATES], `exchange rate ${currency} removed`);
+
+    fastify.log.info('Exchange rate removed', { currency, removedBy: request.user.customerId });
+
+    reply.code(204).send();
+  }));
+}
@@ -1,9 +1,11 @@
+import { PERMISSIONS } from '../utils/permissions.js';
+
 /**
  * Health check routes module
  * 
  * Provides endpoints for monitoring application health, including:
  * - GET /health - Basic health check
- * - GET /health/detailed - Detailed health check with dependencies
+ * - GET /health/detailed - Detailed health check with dependencies (admin only)
  * 
  * @author Hackathon Team
  * @version 1.0.0
@@ -64,6 +66,7 @@ export default async function healthRoutes(fastify, opts) {
   /**
    * GET /health/detailed
    * Detailed health check with dependency status
+   * Requires the ops:read permission since dependency errors are included
    * 
    * Response:
    * - status: Overall status
@@ -71,7 +74,11 @@ export default async function healthRoutes(fastify, opts) {
    * - uptime: Application uptime
    * - dependencies: Status of each dependency
    */
-  fastify.get('/detailed', async (request, reply) => {
+  fastify.get('/detailed', {
+    config: {
+      permission: PERMISSIONS.OPS_READ
+    }
+  }, async (request, reply) => {
     const startTime = Date.now();
     
     try {
@@ -0,0 +1,56 @@
+import { config } from '../config/app.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { MEDIA_CONTENT_TYPES } from '../utils/imageProcessing.js';
+import { isValidStorageKey } from '../utils/storage.js';
+
+/**
+ * Media routes module
+ *
+ * Serves stored uploads and their variants:
+ * - GET /media/* - Stream a stored file by storage key
+ *
+ * Every upload is stored under new keys, so files never change and are
+ * served with a long-lived, immutable Cache-Control header. Only drivers
+ * that can stream their files (the local disk driver) are served here;
+ * other drivers serve media from their own public URL.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Main media routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function mediaRoutes(fastify, opts) {
+
+  /**
+   * GET /media/*
+   * Stream a stored file
+   *
+   * Response:
+   * - The file with its Content-Type, or 404 if there is no such file
+   */
+  fastify.get('/*', asyncHandler(async (request, reply) => {
+    const key = request.params['*'];
+    const contentType = MEDIA_CONTENT_TYPES[key.split('.').pop()];
+    const { storage } = fastify;
+
+    const file = isValidStorageKey(key) && contentType && storage.createReadStream
+      ? await storage.stat(key)
+      : null;
+
+    if (!file) {
+      throw new NotFoundError('Media file', key);
+    }
+
+    reply
+      .header('Content-Type', contentType)
+      .header('Content-Length', file.size)
+      .header('Last-Modified', file.modifiedAt.toUTCString())
+      .header('Cache-Control', config.media.cacheControl);
+
+    return reply.send(storage.createReadStream(key));
+  }));
+}
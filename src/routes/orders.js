@@ -0,0 +1,416 @@
+import { config } from '../config/app.js';
+import { invalidateStockCache } from '../utils/cache.js';
+import { claimCart, restoreClaimedCart, withCartLock } from '../utils/carts.js';
+import { MAX_INTEGER, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import { asyncHandler, ForbiddenError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import {
+  fetchOrder,
+  fetchOrderHistory,
+  fetchOrderStatusHistory,
+  ORDER_STATUSES,
+  placeOrder,
+  transitionOrder
+} from '../utils/orders.js';
+import { hasPermission, PERMISSIONS } from '../utils/permissions.js';
+
+/**
+ * Order routes module
+ *
+ * Handles order API endpoints including:
+ * - POST /api/orders - Place an order from a cart or explicit line items
+ * - GET /api/orders - Retrieve a customer's paginated order history
+ * - GET /api/orders/:id - Retrieve an order with its items
+ * - POST /api/orders/:id/status - Move an order to a new status
+ * - GET /api/orders/:id/history - Retrieve the status history of an order
+ *
+ * Placing an order decrements product stock in one transaction and purges
+ * cached product data, since stock and availability appear in listings.
+ * Cancelling an order puts its stock back the same way.
+ *
+ * Orders placed with an access token belong to the signed-in customer.
+ * Customers can read their own orders; reading other customers' orders
+ * needs orders:read and changing an order's status needs orders:manage.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Input validation schemas for request parameters
+ */
+const orderParamsSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN
+    }
+  },
+  required: ['id']
+};
+
+const orderHistoryQuerySchema = {
+  type: 'object',
+  properties: {
+    customerId: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+    page: { type: 'integer', minimum: 1, default: config.pagination.defaultPage },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: config.pagination.maxLimit,
+      default: config.pagination.defaultLimit
+    }
+  }
+};
+
+const createOrderBodySchema = {
+  type: 'object',
+  properties: {
+    cartId: {
+      type: 'string',
+      pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+    },
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: config.cart.maxItems,
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+          variantId: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+          quantity: { type: 'integer', minimum: 1, maximum: config.cart.maxQuantity }
+        },
+        required: ['index', 'quantity'],
+        additionalProperties: false
+      }
+    }
+  },
+  oneOf: [
+    { required: ['cartId'] },
+    { required: ['items'] }
+  ],
+  additionalProperties: false
+};
+
+const orderStatusBodySchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ORDER_STATUSES },
+    note: { type: ['string', 'null'], maxLength: 500 }
+  },
+  required: ['status'],
+  additionalProperties: false
+};
+
+const orderStatusHistorySchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      fromStatus: { type: ['string', 'null'] },
+      toStatus: { type: 'string' },
+      actor: { type: 'string' },
+      note: { type: ['string', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const orderSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    customerId: { type: ['integer', 'null'] },
+    cartId: { type: ['string', 'null'] },
+    status: { type: 'string' },
+    currency: { type: 'string' },
+    subtotal: { type: 'number' },
+    itemCount: { type: 'integer' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          productIndex: { type: 'integer' },
+          variantId: { type: ['integer', 'null'] },
+          sku: { type: ['string', 'null'] },
+          name: { type: 'string' },
+          unitPrice: { type: 'number' },
+          quantity: { type: 'integer' },
+          lineTotal: { type: 'number' }
+        }
+      }
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Main order routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function orderRoutes(fastify, opts) {
+
+  /**
+   * Describe the caller for the order status history
+   * @param {Object} request - Fastify request
+   * @returns {string} Actor, e.g. "admin:3" or "api_key:2"
+   */
+  function requestActor(request) {
+    if (request.apiKey) {
+      return `api_key:${request.apiKey.id}`;
+    }
+    return `${request.user.role}:${request.user.customerId}`;
+  }
+
+  /**
+   * Check that the caller may read an order
+   * Other customers' orders are reported as not found so order IDs cannot
+   * be probed.
+   * @param {Object} request - Fastify request
+   * @param {Object} order - Order
+   * @returns {Object} The order
+   * @throws {NotFoundError} If the caller may not read the order
+   */
+  function assertCanReadOrder(request, order) {
+    const ownOrder = order.customerId !== null && order.customerId === request.user.customerId;
+
+    if (!ownOrder && !hasPermission(request.user.role, PERMISSIONS.ORDERS_READ)) {
+      throw new NotFoundError('Order', order.id);
+    }
+
+    return order;
+  }
+
+  /**
+   * POST /api/orders
+   * Place an order
+   *
+   * Body (exactly one of cartId or items):
+   * - cartId - Cart to check out; the cart is claimed (removed) before the order is
+   *   placed and put back if the order fails, so concurrent checkouts place one order
+   * - items - Explicit lines of { index, variantId, quantity }; variantId is required for products with variants
+   *
+   * Orders belong to the signed-in customer. There is no guest checkout:
+   * anonymous orders could decrement stock without anyone being able to
+   * read them back. Partner API keys with the orders:write scope place
+   * orders without a customer.
+   *
+   * Response:
+   * - 201 with the created order
+   * - 400 if a product is out of stock, unpriced or priced in another currency
+   * - 409 if the cart is being checked out or changed by another request
+   */
+  fastify.post('/', {
+    config: {
+      permission: PERMISSIONS.AUTHENTICATED,
+      scope: PERMISSIONS.ORDERS_WRITE
+    },
+    schema: {
+      body: createOrderBodySchema,
+      response: {
+        201: orderSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { cartId = null } = request.body;
+    const customerId = request.user?.customerId ?? null;
+
+    /**
+     * Place the order from the given lines
+     * @param {Array<Object>} items - Order lines
+     * @param {boolean} cartPersisted - Whether the checked out cart is a customer cart
+     * @returns {Promise<Object>} Result of placeOrder
+     */
+    function placeLines(items, cartPersisted = false) {
+      fastify.log.info('Placing order', {
+        cartId,
+        customerId,
+        lineCount: items.length,
+        ip: request.ip
+      });
+
+      return placeOrder(fastify, { items, customerId, cartId, cartPersisted, actor: requestActor(request) });
+    }
+
+    /**
+     * Check out the requested cart
+     * The cart is claimed first and put back if the order fails, so
+     * concurrent checkouts of one cart place a single order.
+     * @returns {Promise<Object>} Result of placeOrder
+     */
+    async function checkoutCart() {
+      const cart = await claimCart(fastify, cartId);
+
+      try {
+        if (cart.customerId !== null && cart.customerId !== customerId) {
+          throw new NotFoundError('Cart', cartId);
+        }
+        if (cart.items.length === 0) {
+          throw new ValidationError('Cart is empty');
+        }
+
+        return await placeLines(cart.items, cart.customerId !== null);
+      } catch (error) {
+        await restoreClaimedCart(fastify, cart);
+        throw error;
+      }
+    }
+
+    const { order, stock, availabilityChanged } = cartId
+      ? await withCartLock(fastify, cartId, checkoutCart)
+      : await placeLines(request.body.items);
+
+    fastify.log.info('Order placed', {
+      orderId: order.id,
+      cartId,
+      subtotal: order.subtotal,
+      stock
+    });
+
+    await invalidateStockCache(fastify, stock, availabilityChanged, `order ${order.id} placed`);
+
+    reply.code(201);
+    return order;
+  }));
+
+
+  /**
+   * GET /api/orders
+   * Retrieve a customer's order history, newest first
+   *
+   * Query Parameters:
+   * - customerId (optional) - Defaults to the signed-in customer; other customers need orders:read
+   * - page, limit - Pagination (default: 1 and 10, max limit: 100)
+   */
+  fastify.get('/', {
+    config: {
+      permission: PERMISSIONS.AUTHENTICATED
+    },
+    schema: {
+      querystring: orderHistoryQuerySchema,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            orders: {
+              type: 'array',
+              items: orderSchema
+            },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const { page, limit } = request.query;
+    const customerId = request.query.customerId ?? request.user.customerId;
+
+    if (customerId !== request.user.customerId && !hasPermission(request.user.role, PERMISSIONS.ORDERS_READ)) {
+      throw new ForbiddenError('You can only view your own orders');
+    }
+
+    const { orders, total } = await fetchOrderHistory(fastify, customerId, page, limit);
+
+    return { orders, page, limit, total };
+  }));
+
+
+  /**
+   * GET /api/orders/:id
+   * Retrieve an order with its items
+   */
+  fastify.get('/:id', {
+    config: {
+      permission: PERMISSIONS.AUTHENTICATED
+    },
+    schema: {
+      params: orderParamsSchema,
+      response: {
+        200: orderSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const order = await fetchOrder(fastify, parseInt(request.params.id));
+
+    return assertCanReadOrder(request, order);
+  }));
+
+
+  /**
+   * POST /api/orders/:id/status
+   * Move an order to a new status
+   *
+   * Allowed transitions: pending → paid → fulfilled → shipped → delivered;
+   * cancelled from pending, paid or fulfilled (stock is restored);
+   * refunded from paid, fulfilled, shipped or delivered.
+   *
+   * Body:
+   * - status (required) - New status
+   * - note (optional) - Reason or comment recorded in the history
+   *
+   * Response:
+   * - Updated order
+   * - 400 if the transition is not allowed from the current status
+   */
+  fastify.post('/:id/status', {
+    config: {
+      permission: PERMISSIONS.ORDERS_MANAGE
+    },
+    schema: {
+      params: orderParamsSchema,
+      body: orderStatusBodySchema,
+      response: {
+        200: orderSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const orderId = parseInt(request.params.id);
+    const { status, note = null } = request.body;
+    const actor = requestActor(request);
+
+    const { fromStatus, stock, availabilityChanged } = await transitionOrder(fastify, orderId, { status, actor, note });
+
+    fastify.log.info('Order status changed', {
+      orderId,
+      fromStatus,
+      status,
+      actor,
+      restocked: stock
+    });
+
+    if (stock.length > 0) {
+      await invalidateStockCache(fastify, stock, availabilityChanged, `order ${orderId} cancelled`);
+    }
+
+    return fetchOrder(fastify, orderId);
+  }));
+
+
+  /**
+   * GET /api/orders/:id/history
+   * Retrieve the status history of an order, oldest first
+   */
+  fastify.get('/:id/history', {
+    config: {
+      permission: PERMISSIONS.AUTHENTICATED
+    },
+    schema: {
+      params: orderParamsSchema,
+      response: {
+        200: orderStatusHistorySchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const orderId = parseInt(request.params.id);
+
+    assertCanReadOrder(request, await fetchOrder(fastify, orderId));
+
+    return fetchOrderStatusHistory(fastify, orderId);
+  }));
+}
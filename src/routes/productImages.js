@@ -0,0 +1,611 @@
+import { randomUUID } from 'crypto';
+import { CACHE_TAGS, productTag, purgeCacheTags } from '../utils/cache.js';
+import { executeQuery, MAX_INTEGER, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import { asyncHandler, handleDatabaseError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { readImageInfo } from '../utils/imageProcessing.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import {
+  deleteStoredImages,
+  fetchProductImages,
+  lockProduct,
+  PRODUCT_IMAGE_COLUMNS,
+  productImageSchema,
+  runProductImageTransaction,
+  syncPrimaryImage
+} from '../utils/productImages.js';
+
+/**
+ * Product image routes module
+ *
+ * Handles the image gallery of a product:
+ * - GET /api/products/:index/images - List a product's images in display order
+ * - POST /api/products/:index/images - Add an image by URL
+ * - POST /api/products/:index/images/upload - Upload an image file
+ * - PUT /api/products/:index/images/order - Reorder the gallery
+ * - PATCH /api/products/:index/images/:imageId - Update an image or make it primary
+ * - DELETE /api/products/:index/images/:imageId - Remove an image
+ *
+ * A non-empty gallery always has exactly one primary image: the first image
+ * added becomes primary, and removing the primary image promotes the next
+ * one. The primary image's url is kept in products.image_url, so changing
+ * it purges the cached listings containing the product.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Input validation schemas for request parameters
+ */
+const productParamsSchema = {
+  type: 'object',
+  properties: {
+    index: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN,
+      description: 'Product Index (must be positive integer)'
+    }
+  },
+  required: ['index']
+};
+
+const imageParamsSchema = {
+  type: 'object',
+  properties: {
+    index: productParamsSchema.properties.index,
+    imageId: {
+      type: 'string',
+      pattern: POSITIVE_INTEGER_PATTERN
+    }
+  },
+  required: ['index', 'imageId']
+};
+
+/**
+ * Writable product image columns (see scripts/01-init-db.sql)
+ */
+const imageBodyProperties = {
+  url: { type: 'string', minLength: 1, maxLength: 2048 },
+  alt_text: { type: ['string', 'null'], maxLength: 500 },
+  width: { type: ['integer', 'null'], minimum: 1, maximum: MAX_INTEGER },
+  height: { type: ['integer', 'null'], minimum: 1, maximum: MAX_INTEGER },
+  position: {
+    type: 'integer',
+    minimum: 0,
+    maximum: MAX_INTEGER,
+    description: 'Display order, lowest first (default: after the last image)'
+  },
+  is_primary: { type: 'boolean' }
+};
+
+const IMAGE_WRITABLE_COLUMNS = ['url', 'alt_text', 'width', 'height', 'position'];
+
+const createImageBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['url'],
+  properties: imageBodyProperties
+};
+
+const updateImageBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: imageBodyProperties
+};
+
+const reorderImagesBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['imageIds'],
+  properties: {
+    imageIds: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'integer', minimum: 1, maximum: MAX_INTEGER },
+      description: 'Every image ID of the product, in the new display order'
+    }
+  }
+};
+
+const imagesResponseSchema = {
+  type: 'object',
+  properties: {
+    images: {
+      type: 'array',
+      items: productImageSchema
+    }
+  }
+};
+
+/**
+ * Clear the primary flag of a product's images, before another image takes it
+ * @param {Object} client - Transaction client
+ * @param {number} productId - Product ID
+ */
+async function clearPrimaryImage(client, productId) {
+  await client.query(
+    `UPDATE product_images SET is_primary = FALSE, updated_at = CURRENT_TIMESTAMP
+     WHERE product_id = $1 AND is_primary`,
+    [productId]
+  );
+}
+
+/**
+ * Make room at a position by moving the images at or after it one place down
+ * @param {Object} client - Transaction client
+ * @param {number} productId - Product ID
+ * @param {number} position - Position to free
+ * @param {number|null} exceptId - Image being moved there, left in place
+ */
+async function shiftImagePositions(client, productId, position, exceptId = null) {
+  await client.query(
+    `UPDATE product_images SET position = position + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE product_id = $1 AND position >= $2 AND id IS DISTINCT FROM $3`,
+    [productId, position, exceptId]
+  );
+}
+
+/**
+ * Add an image to a product's gallery (inside a transaction)
+ * @param {Object} client - Transaction client
+ * @param {number} productIndex - Product Index
+ * @param {Object} image - Image columns (url required; storage_key and
+ *   status for uploads)
+ * @returns {Promise<Object>} { image, sync } (sync: see syncPrimaryImage)
+ * @throws {NotFoundError} If the product does not exist
+ */
+async function insertProductImage(client, productIndex, image) {
+  const product = await lockProduct(client, productIndex);
+
+  if (image.is_primary) {
+    await clearPrimaryImage(client, product.id);
+  }
+  if (image.position !== undefined) {
+    await shiftImagePositions(client, product.id, image.position);
+  }
+
+  const insertResult = await client.query(
+    `INSERT INTO product_images (product_id, url, alt_text, width, height, position, is_primary, storage_key, status)
+     VALUES ($1, $2, $3, $4, $5,
+       COALESCE($6, (SELECT COALESCE(MAX(position) + 1, 0) FROM product_images WHERE product_id = $1)),
+       $7, $8, $9)
+     RETURNING ${PRODUCT_IMAGE_COLUMNS}`,
+    [
+      product.id,
+      image.url,
+      image.alt_text ?? null,
+      image.width ?? null,
+      image.height ?? null,
+      image.position ?? null,
+      image.is_primary ?? false,
+      image.storage_key ?? null,
+      image.status ?? 'ready'
+    ]
+  );
+
+  const sync = await syncPrimaryImage(client, product);
+  const inserted = insertResult.rows[0];
+  return { image: { ...inserted, is_primary: inserted.id === sync.primaryId }, sync };
+}
+
+/**
+ * Read the fields of a multipart upload form
+ * @param {Object} fields - Field values by name
+ * @returns {Object} { alt_text?, position?, is_primary? }
+ * @throws {ValidationError} If a field is unknown or invalid
+ */
+function parseUploadFields(fields) {
+  const image = {};
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (name === 'alt_text' && value.length <= imageBodyProperties.alt_text.maxLength) {
+      image.alt_text = value;
+    } else if (name === 'position' && /^\d+$/.test(value)) {
+      image.position = parseInt(value);
+    } else if (name === 'is_primary' && ['true', 'false'].includes(value)) {
+      image.is_primary = value === 'true';
+    } else {
+      throw new ValidationError(`Invalid upload field: ${name}`, {
+        fields: ['file', 'alt_text', 'position', 'is_primary']
+      });
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Main product image routes function
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} opts - Route options
+ */
+export default async function productImageRoutes(fastify, opts) {
+
+  /**
+   * Purge cached listings and categories showing a product's primary image
+   * @param {number} productIndex - Product Index
+   * @param {Object} sync - Result of syncPrimaryImage
+   * @param {string} reason - Description of the change for logging
+   */
+  async function invalidatePrimaryImage(productIndex, sync, reason) {
+    if (sync.imageUrlChanged) {
+      await purgeCacheTags(fastify, [CACHE_TAGS.CATEGORIES, productTag(productIndex)], reason);
+    }
+  }
+
+
+  /**
+   * GET /api/products/:index/images
+   * List a product's images in display order
+   *
+   * Response:
+   * - images: Array of { id, url, alt_text, width, height, position, is_primary },
+   *   or 404 if the product does not exist
+   */
+  fastify.get('/:index/images', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
+    schema: {
+      params: productParamsSchema,
+      response: {
+        200: imagesResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        'SELECT id FROM products WHERE index = $1',
+        [productIndex],
+        'fetching product for images'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'fetching product for images');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Product', productIndex);
+    }
+
+    return { images: await fetchProductImages(fastify, result.rows[0].id) };
+  }));
+
+
+  /**
+   * POST /api/products/:index/images
+   * Add an image to a product's gallery
+   *
+   * Body:
+   * - url (required), alt_text, width, height
+   * - position - Display order; images at or after it move down (default: last)
+   * - is_primary - Make this the primary image (the first image always is)
+   *
+   * Response:
+   * - 201 with the created image, or 404 if the product does not exist
+   */
+  fastify.post('/:index/images', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: productParamsSchema,
+      body: createImageBodySchema,
+      response: {
+        201: productImageSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const body = request.body;
+
+    fastify.log.info('Adding product image', { productIndex, ip: request.ip });
+
+    const { image, sync } = await runProductImageTransaction(
+      fastify,
+      client => insertProductImage(client, productIndex, body),
+      'adding product image'
+    );
+
+    await invalidatePrimaryImage(productIndex, sync, `image ${image.id} added to product ${productIndex}`);
+
+    fastify.log.info('Product image added successfully', {
+      productIndex,
+      imageId: image.id,
+      isPrimary: image.is_primary
+    });
+
+    reply.code(201);
+    return image;
+  }));
+
+
+  /**
+   * POST /api/products/:index/images/upload
+   * Upload an image file to a product's gallery (multipart/form-data)
+   *
+   * Form fields:
+   * - file (required) - JPEG, PNG, WebP or GIF image, up to media.maxUploadBytes
+   * - alt_text, position, is_primary - As for POST /api/products/:index/images
+   *
+   * The original is stored at once and served under /media/; the image is
+   * `pending` until the image worker has generated its thumbnails and WebP
+   * variants, then `ready`.
+   *
+   * Response:
+   * - 201 with the created image, 400 if the file is not a supported image,
+   *   413 if it is too large, or 404 if the product does not exist
+   */
+  fastify.post('/:index/images/upload', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: productParamsSchema,
+      response: {
+        201: productImageSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const { storage } = fastify;
+
+    if (!request.isMultipart()) {
+      throw new ValidationError('Expected a multipart/form-data upload');
+    }
+
+    let file = null;
+    const fields = {};
+    for await (const part of request.parts()) {
+      if (part.type !== 'file') {
+        fields[part.fieldname] = part.value;
+      } else if (part.fieldname === 'file') {
+        file = await part.toBuffer();
+      } else {
+        throw new ValidationError(`Unexpected file field: ${part.fieldname}`);
+      }
+    }
+
+    if (!file) {
+      throw new ValidationError('No file uploaded (expected a "file" field)');
+    }
+
+    const fieldValues = parseUploadFields(fields);
+    const info = await readImageInfo(file);
+    const storageKey = `products/${randomUUID()}/original.${info.extension}`;
+
+    fastify.log.info('Uploading product image', {
+      productIndex,
+      format: info.format,
+      size: file.length,
+      ip: request.ip
+    });
+
+    await storage.put(storageKey, file, { contentType: info.contentType });
+
+    let result;
+    try {
+      result = await runProductImageTransaction(fastify, client => insertProductImage(client, productIndex, {
+        ...fieldValues,
+        url: storage.url(storageKey),
+        width: info.width,
+        height: info.height,
+        storage_key: storageKey,
+        status: 'pending'
+      }), 'uploading product image');
+    } catch (error) {
+      await deleteStoredImages(fastify, [{ storage_key: storageKey }]);
+      throw error;
+    }
+
+    const { image, sync } = result;
+    await invalidatePrimaryImage(productIndex, sync, `image ${image.id} uploaded to product ${productIndex}`);
+
+    fastify.imageWorker.wake();
+
+    fastify.log.info('Product image uploaded successfully', {
+      productIndex,
+      imageId: image.id,
+      storageKey,
+      isPrimary: image.is_primary
+    });
+
+    reply.code(201);
+    return image;
+  }));
+
+
+  /**
+   * PUT /api/products/:index/images/order
+   * Reorder a product's gallery
+   *
+   * Body:
+   * - imageIds (required) - Every image ID of the product, in the new order
+   *
+   * Response:
+   * - images: The gallery in its new order (positions 0, 1, 2, ...)
+   */
+  fastify.put('/:index/images/order', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: productParamsSchema,
+      body: reorderImagesBodySchema,
+      response: {
+        200: imagesResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const { imageIds } = request.body;
+
+    fastify.log.info('Reordering product images', { productIndex, ip: request.ip });
+
+    const images = await runProductImageTransaction(fastify, async (client) => {
+      const product = await lockProduct(client, productIndex);
+
+      const currentResult = await client.query(
+        'SELECT id FROM product_images WHERE product_id = $1',
+        [product.id]
+      );
+      const currentIds = new Set(currentResult.rows.map(row => row.id));
+      if (imageIds.length !== currentIds.size || !imageIds.every(id => currentIds.has(id))) {
+        throw new ValidationError('imageIds must list every image of the product exactly once', {
+          imageIds: [...currentIds].sort((a, b) => a - b)
+        });
+      }
+
+      await client.query(
+        `UPDATE product_images
+         SET position = ordered.position - 1, updated_at = CURRENT_TIMESTAMP
+         FROM unnest($2::int[]) WITH ORDINALITY AS ordered(id, position)
+         WHERE product_images.id = ordered.id AND product_images.product_id = $1`,
+        [product.id, imageIds]
+      );
+      await syncPrimaryImage(client, product);
+
+      const result = await client.query(
+        `SELECT ${PRODUCT_IMAGE_COLUMNS} FROM product_images
+         WHERE product_id = $1 ORDER BY position, id`,
+        [product.id]
+      );
+      return result.rows;
+    }, 'reordering product images');
+
+    fastify.log.info('Product images reordered successfully', { productIndex, imageIds });
+
+    return { images };
+  }));
+
+
+  /**
+   * PATCH /api/products/:index/images/:imageId
+   * Update the provided columns of an image
+   *
+   * Setting is_primary to true makes the image primary in place of the
+   * current one; the primary image cannot be unset directly. Setting
+   * position moves the images at or after it one place down. The url of an
+   * uploaded image cannot be changed.
+   *
+   * Response:
+   * - Updated image, or 404 if the product or image does not exist
+   */
+  fastify.patch('/:index/images/:imageId', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: imageParamsSchema,
+      body: updateImageBodySchema,
+      response: {
+        200: productImageSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const imageId = parseInt(request.params.imageId);
+    const body = request.body;
+    const columns = IMAGE_WRITABLE_COLUMNS.filter(column => body[column] !== undefined);
+
+    fastify.log.info('Updating product image', { productIndex, imageId, columns, ip: request.ip });
+
+    const { image, sync } = await runProductImageTransaction(fastify, async (client) => {
+      const product = await lockProduct(client, productIndex);
+
+      const currentResult = await client.query(
+        'SELECT is_primary, storage_key FROM product_images WHERE id = $1 AND product_id = $2',
+        [imageId, product.id]
+      );
+      if (!currentResult.rows.length) {
+        throw new NotFoundError('Product image', imageId);
+      }
+
+      if (body.url !== undefined && currentResult.rows[0].storage_key) {
+        throw new ValidationError('The url of an uploaded image cannot be changed; upload a new image instead');
+      }
+
+      const wasPrimary = currentResult.rows[0].is_primary;
+      if (body.is_primary === false && wasPrimary) {
+        throw new ValidationError('The primary image cannot be unset; make another image primary instead');
+      }
+      if (body.is_primary && !wasPrimary) {
+        await clearPrimaryImage(client, product.id);
+      }
+      if (body.position !== undefined) {
+        await shiftImagePositions(client, product.id, body.position, imageId);
+      }
+
+      const params = [...columns.map(column => body[column]), body.is_primary || wasPrimary, imageId];
+      const assignments = [...columns.map((column, i) => `${column} = $${i + 1}`), `is_primary = $${columns.length + 1}`];
+
+      const updateResult = await client.query(
+        `UPDATE product_images
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${params.length}
+         RETURNING ${PRODUCT_IMAGE_COLUMNS}`,
+        params
+      );
+
+      const sync = await syncPrimaryImage(client, product);
+      return { image: updateResult.rows[0], sync };
+    }, 'updating product image');
+
+    await invalidatePrimaryImage(productIndex, sync, `image ${imageId} of product ${productIndex} updated`);
+
+    fastify.log.info('Product image updated successfully', { productIndex, imageId, columns });
+
+    return image;
+  }));
+
+
+  /**
+   * DELETE /api/products/:index/images/:imageId
+   * Remove an image from a product's gallery
+   *
+   * Removing the primary image makes the next image in display order primary.
+   * Uploaded files are removed from storage once the image is deleted.
+   *
+   * Response:
+   * - 204 with no body, or 404 if the product or image does not exist
+   */
+  fastify.delete('/:index/images/:imageId', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: imageParamsSchema
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const imageId = parseInt(request.params.imageId);
+
+    fastify.log.info('Deleting product image', { productIndex, imageId, ip: request.ip });
+
+    const { deleted, sync } = await runProductImageTransaction(fastify, async (client) => {
+      const product = await lockProduct(client, productIndex);
+
+      const result = await client.query(
+        'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING storage_key, variants',
+        [imageId, product.id]
+      );
+      if (!result.rows.length) {
+        throw new NotFoundError('Product image', imageId);
+      }
+
+      return { deleted: result.rows[0], sync: await syncPrimaryImage(client, product) };
+    }, 'deleting product image');
+
+    await invalidatePrimaryImage(productIndex, sync, `image ${imageId} removed from product ${productIndex}`);
+    await deleteStoredImages(fastify, [deleted]);
+
+    fastify.log.info('Product image deleted successfully', { productIndex, imageId });
+
+    reply.code(204).send();
+  }));
+}
@@ -1,4 +1,16 @@
-import { executeQuery } from '../utils/database.js';
+import { config } from '../config/app.js';
+import { executeQuery, MAX_INTEGER, POSITIVE_INTEGER_PATTERN } from '../utils/database.js';
+import {
+  CACHE_TAGS,
+  cacheThrough,
+  categoryTag,
+  invalidateProductCache,
+  productTags
+} from '../utils/cache.js';
+import { convertProduct, convertProducts, pricingCacheSegment, pricingTags, resolvePricing } from '../utils/currency.js';
+import { asyncHandler, handleDatabaseError, NotFoundError } from '../utils/errorHandler.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { deleteStoredImages, fetchProductImages, productImageSchema } from '../utils/productImages.js';
 
 /**
  * Product routes module
@@ -6,8 +18,14 @@ import { executeQuery } from '../utils/database.js';
  * Handles all product-related API endpoints including:
  * - GET /api/products - Retrieve paginated product list with caching
  * - GET /api/products/:index - Retrieve specific product by Index
- * - GET /api/products/search - Search products by index
+ * - GET /api/products/search - Search products by index or full-text query
  * - Get /api/products/category/:categoryName - Retrieve products by category name
+ * - POST /api/products - Create a product
+ * - PUT /api/products/:index - Replace a product
+ * - PATCH /api/products/:index - Partially update a product
+ * - DELETE /api/products/:index - Delete a product
+ * 
+ * Gallery endpoints (/api/products/:index/images) live in productImages.js.
  * 
  * Features:
  * - Redis caching for improved performance
@@ -22,33 +40,308 @@ import { executeQuery } from '../utils/database.js';
 /**
  * Input validation schemas for request parameters
  */
+const filterQueryProperties = {
+  brand: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Brand name(s), comma separated (case-insensitive)'
+  },
+  category: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Category name(s), comma separated (case-insensitive)'
+  },
+  color: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Color(s), comma separated (case-insensitive)'
+  },
+  size: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Size(s), comma separated (case-insensitive)'
+  },
+  availability: {
+    type: 'string',
+    maxLength: 200,
+    description: 'Availability value(s), comma separated (e.g. in_stock,limited_stock)'
+  },
+  minPrice: {
+    type: 'string',
+    pattern: '^\\d+(\\.\\d{1,2})?$',
+    description: 'Minimum price (inclusive), in the requested currency'
+  },
+  maxPrice: {
+    type: 'string',
+    pattern: '^\\d+(\\.\\d{1,2})?$',
+    description: 'Maximum price (inclusive), in the requested currency'
+  },
+  inStock: {
+    type: 'string',
+    enum: ['true', 'false'],
+    description: 'Only return products with stock > 0 when "true"'
+  }
+};
+
+/**
+ * Columns returned by listing endpoints (detail endpoints return every column)
+ */
+const LISTING_COLUMNS = 'id, index, name, category, brand, color, size, availability, price, currency, image_url, stock, internal_id';
+
+/**
+ * Whitelisted sort options
+ * Each option maps to a column and direction; id is always appended as a
+ * tie-breaker in the same direction so ordering is deterministic.
+ */
+const SORT_OPTIONS = {
+  index: { column: 'index', direction: 'ASC', type: 'integer' },
+  price_asc: { column: 'price', direction: 'ASC', type: 'numeric' },
+  price_desc: { column: 'price', direction: 'DESC', type: 'numeric' },
+  name: { column: 'name', direction: 'ASC', type: 'text' },
+  newest: { column: 'created_at', direction: 'DESC', type: 'timestamp' },
+  stock: { column: 'stock', direction: 'DESC', type: 'integer' },
+  relevance: { column: 'rank', direction: 'DESC', type: 'real', textSearchOnly: true }
+};
+
+/**
+ * Checks of a cursor's sort value by sort column type
+ * Cursor values are the column's text representation (see fetchProductsByCursor),
+ * so a value PostgreSQL cannot cast back fails here with a 400 instead of
+ * a 22P02/22003 database error.
+ */
+const CURSOR_VALUE_CHECKS = {
+  integer: value => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= 2147483647,
+  numeric: value => /^-?\d{1,20}(\.\d{1,20})?$/.test(value),
+  real: value => /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value) && Math.abs(Number(value)) <= 3.4e38,
+  text: value => value.length <= 512 && !value.includes('\u0000'),
+  timestamp: value => {
+    if (!/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?$/.test(value)) {
+      return false;
+    }
+    // Date.parse rolls impossible days over (e.g. Feb 30) instead of rejecting them
+    const time = Date.parse(`${value.slice(0, 19).replace(' ', 'T')}Z`);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value.slice(0, 10);
+  }
+};
+
+const sortQueryProperty = {
+  type: 'string',
+  enum: Object.keys(SORT_OPTIONS),
+  description: 'Sort order (relevance is only available for text search)'
+};
+
+const cursorQueryProperty = {
+  type: 'string',
+  maxLength: 512,
+  description: 'Opaque keyset cursor; pass an empty value to start cursor pagination'
+};
+
+const currencyQueryProperty = {
+  type: 'string',
+  pattern: '^[A-Za-z]{3}$',
+  description: 'Currency to convert prices to (overrides the Accept-Currency header)'
+};
+
 const querySchema = {
   type: 'object',
   properties: {
+    ...filterQueryProperties,
+    sort: sortQueryProperty,
+    cursor: cursorQueryProperty,
+    currency: currencyQueryProperty,
     page: { 
       type: 'string', 
-      pattern: '^[1-9]\\d*$',
+      pattern: POSITIVE_INTEGER_PATTERN,
       description: 'Page number (must be positive integer)'
     },
     limit: { 
       type: 'string', 
-      pattern: '^[1-9]\\d*$',
+      pattern: POSITIVE_INTEGER_PATTERN,
       description: 'Items per page (must be positive integer, max 100)'
     },
     q: {
       type: 'string',
-      pattern: '^[1-9]\\d*$',
+      pattern: POSITIVE_INTEGER_PATTERN,
       description: 'Index number to search for (must be positive integer)'
     }
   }
 };
 
+const searchQuerySchema = {
+  type: 'object',
+  properties: {
+    page: querySchema.properties.page,
+    limit: querySchema.properties.limit,
+    q: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      description: 'Index number or free-text search term (1-100 characters)'
+    },
+    sort: sortQueryProperty,
+    currency: currencyQueryProperty,
+    mode: {
+      type: 'string',
+      enum: ['index', 'text'],
+      description: 'Search mode (default: index for numeric terms, text otherwise)'
+    }
+  }
+};
+
+const facetBucketsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      value: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  }
+};
+
+const facetsResponseSchema = {
+  type: 'object',
+  properties: {
+    brand: facetBucketsSchema,
+    category: facetBucketsSchema,
+    color: facetBucketsSchema,
+    availability: facetBucketsSchema
+  }
+};
+
+/**
+ * Product variant returned by the detail endpoint; price falls back to the product price
+ */
+const productVariantSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    sku: { type: 'string' },
+    ean: { type: ['string', 'null'] },
+    color: { type: ['string', 'null'] },
+    size: { type: ['string', 'null'] },
+    price: { type: ['number', 'null'] },
+    stock: { type: 'integer' }
+  }
+};
+
+/**
+ * Full product representation returned by detail and write endpoints
+ */
+const productResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    index: { type: 'integer' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    price: { type: 'number' },
+    image_url: { type: 'string' },
+    stock: { type: 'integer' },
+    brand: { type: 'string' },
+    category: { type: 'string' },
+    currency: { type: 'string' },
+    ean: { type: 'string' },
+    color: { type: 'string' },
+    size: { type: 'string' },
+    availability: { type: 'string' },
+    short_description: { type: 'string' },
+    internal_id: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+    breadcrumbs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' }
+        }
+      }
+    },
+    images: {
+      type: 'array',
+      items: productImageSchema
+    },
+    variants: {
+      type: 'array',
+      items: productVariantSchema
+    },
+    options: {
+      type: 'object',
+      properties: {
+        color: { type: 'array', items: { type: 'string' } },
+        size: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * Writable product columns (see scripts/01-init-db.sql)
+ * index is only writable on create; it identifies the product afterwards.
+ */
+const productBodyProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 500 },
+  description: { type: ['string', 'null'], maxLength: 10000 },
+  brand: { type: ['string', 'null'], maxLength: 200 },
+  category: { type: ['string', 'null'], maxLength: 50 },
+  price: { type: ['number', 'null'], minimum: 0 },
+  currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+  stock: { type: ['integer', 'null'], minimum: 0, maximum: MAX_INTEGER },
+  ean: {
+    type: ['string', 'null'],
+    pattern: '^\\d{1,18}$',
+    description: 'EAN barcode (BIGINT; integers are coerced to a digits string)'
+  },
+  color: { type: ['string', 'null'], maxLength: 100 },
+  size: { type: ['string', 'null'], maxLength: 100 },
+  availability: {
+    type: ['string', 'null'],
+    enum: ['in_stock', 'limited_stock', 'out_of_stock', null]
+  },
+  short_description: { type: ['string', 'null'], maxLength: 1000 },
+  image_url: { type: ['string', 'null'], maxLength: 2048 },
+  internal_id: { type: ['string', 'null'], maxLength: 100 }
+};
+
+const PRODUCT_WRITABLE_COLUMNS = Object.keys(productBodyProperties);
+
+const createProductBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: {
+    index: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_INTEGER,
+      description: 'Product Index (default: next free index)'
+    },
+    ...productBodyProperties
+  }
+};
+
+const replaceProductBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name'],
+  properties: productBodyProperties
+};
+
+const updateProductBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: productBodyProperties
+};
+
 const paramsSchema = {
   type: 'object',
   properties: {
     index: { 
       type: 'string', 
-      pattern: '^[1-9]\\d*$',
+      pattern: POSITIVE_INTEGER_PATTERN,
       description: 'Product Index (must be positive integer)'
     }
   },
@@ -80,6 +373,484 @@ function validatePaginationParams(query) {
   return { page, limit };
 }
 
+/**
+ * Utility function to validate the requested sort option
+ * @param {Object} query - Request query parameters
+ * @param {string} defaultSort - Sort option used when none is requested
+ * @param {boolean} allowRelevance - Whether relevance sorting is available (text search only)
+ * @returns {string} Validated sort option
+ */
+function validateSortParam(query, defaultSort, allowRelevance = false) {
+  const sort = query.sort || defaultSort;
+
+  if (!SORT_OPTIONS[sort]) {
+    throw new Error(`Sort option '${sort}' is not supported`);
+  }
+  if (SORT_OPTIONS[sort].textSearchOnly && !allowRelevance) {
+    throw new Error(`Sort option '${sort}' is only available for text search`);
+  }
+
+  return sort;
+}
+
+/**
+ * Build the SQL expression a sort option orders by
+ * Price sorts follow the converted price when prices are converted, so
+ * catalogs with several product currencies are ordered as they are shown.
+ * @param {string} sort - Validated sort option
+ * @param {Object|null} pricing - Pricing (see resolvePricing), or null for stored prices
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {string} SQL expression
+ */
+function sortExpression(sort, pricing, params) {
+  const { column } = SORT_OPTIONS[sort];
+  return column === 'price' && pricing ? convertedPriceExpression(pricing, params) : column;
+}
+
+/**
+ * Build the ORDER BY clause for a validated sort option
+ * @param {string} sort - Sort option returned by validateSortParam
+ * @param {string} expression - Sort expression (see sortExpression)
+ * @returns {string} ORDER BY clause
+ */
+function buildOrderByClause(sort, expression = SORT_OPTIONS[sort].column) {
+  const { direction } = SORT_OPTIONS[sort];
+  return `ORDER BY ${expression} ${direction}, id ${direction}`;
+}
+
+/**
+ * Cache key segment for a sort option
+ * The default sort keeps the original key format so existing keys stay valid.
+ * @param {string} sort - Validated sort option
+ * @param {string} defaultSort - Default sort option of the route
+ * @returns {string} Cache key segment
+ */
+function sortCacheSegment(sort, defaultSort) {
+  return sort === defaultSort ? '' : `:sort:${sort}`;
+}
+
+/**
+ * Cache tags of a listing whose order or membership depends on stock levels
+ * Stock changes purge these entries (see invalidateStockCache), since a
+ * product moving into such a page is not tagged on it.
+ * @param {string} sort - Validated sort option
+ * @param {Object} filters - Normalized filters
+ * @returns {Array<string>} Tags
+ */
+function stockListingTags(sort, filters) {
+  return sort === 'stock' || filters.inStock ? [CACHE_TAGS.STOCK_LISTING] : [];
+}
+
+/**
+ * Currency a cursor's sort values are in
+ * Only converted price sorts depend on the requested currency.
+ * @param {string} sort - Validated sort option
+ * @param {Object|null} pricing - Pricing (see resolvePricing)
+ * @returns {string|null} Currency code, or null if the sort values are stored values
+ */
+function cursorCurrency(sort, pricing) {
+  return SORT_OPTIONS[sort].column === 'price' && pricing ? pricing.currency : null;
+}
+
+/**
+ * Encode an opaque keyset cursor pointing after the given row
+ * @param {string} sort - Sort option the cursor belongs to
+ * @param {Object} row - Last row of the page (must include cursor_value and id)
+ * @param {string|null} currency - Currency of the sort values (see cursorCurrency)
+ * @returns {string} Base64url encoded cursor
+ */
+function encodeCursor(sort, row, currency = null) {
+  const cursor = { s: sort, v: row.cursor_value, id: row.id, ...(currency && { c: currency }) };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode and validate a keyset cursor
+ * @param {string} token - Cursor received from the client
+ * @param {string} sort - Sort option of the current request
+ * @param {string|null} currency - Currency of the sort values (see cursorCurrency)
+ * @returns {Object|null} Decoded cursor ({ value, id }), or null for the first page
+ */
+function decodeCursor(token, sort, currency = null) {
+  if (!token) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor is invalid');
+  }
+
+  if (!decoded || !Number.isInteger(decoded.id) || Math.abs(decoded.id) > 2147483647 || !('v' in decoded)) {
+    throw new Error('Cursor is invalid');
+  }
+  if (decoded.s !== sort) {
+    throw new Error('Cursor does not match the requested sort option');
+  }
+  if ((decoded.c ?? null) !== currency) {
+    throw new Error('Cursor does not match the requested currency');
+  }
+  if (decoded.v !== null && (typeof decoded.v !== 'string' || !CURSOR_VALUE_CHECKS[SORT_OPTIONS[sort].type](decoded.v))) {
+    throw new Error('Cursor is invalid');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+}
+
+/**
+ * Read a cursor mode page through the cache
+ * Only first pages are cached: later cursors come from the client, so caching
+ * them would let any client create an unbounded number of entries.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object|null} cursor - Decoded cursor, or null for the first page
+ * @param {string} key - Cache key of the first page
+ * @param {Object} options - Cache options (see cacheThrough)
+ * @param {Function} loader - Async function producing the page
+ * @returns {Promise<Object>} { data, cacheStatus } where cacheStatus is BYPASS for later pages
+ */
+async function cursorPageThrough(fastify, cursor, key, options, loader) {
+  if (cursor) {
+    return { data: await loader(), cacheStatus: 'BYPASS' };
+  }
+  return cacheThrough(fastify, key, options, loader);
+}
+
+/**
+ * Build the seek condition for keyset pagination on (sort column, id)
+ * NULL sort values follow PostgreSQL's default ordering: last for ASC, first for DESC.
+ * @param {string} sort - Validated sort option
+ * @param {Object} cursor - Decoded cursor
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} column - Sort expression (see sortExpression)
+ * @returns {string} SQL condition
+ */
+function buildSeekCondition(sort, cursor, params, column = SORT_OPTIONS[sort].column) {
+  const { direction } = SORT_OPTIONS[sort];
+  const comparator = direction === 'ASC' ? '>' : '<';
+
+  if (cursor.value === null) {
+    params.push(cursor.id);
+    const afterNulls = `(${column} IS NULL AND id ${comparator} $${params.length})`;
+    return direction === 'ASC' ? afterNulls : `(${afterNulls} OR ${column} IS NOT NULL)`;
+  }
+
+  params.push(cursor.value, cursor.id);
+  const seek = `(${column}, id) ${comparator} ($${params.length - 1}, $${params.length})`;
+  return direction === 'ASC' ? `(${seek} OR ${column} IS NULL)` : seek;
+}
+
+/**
+ * Fetch one keyset page of products
+ * The sort value is selected as text so timestamps and numerics round-trip
+ * through the cursor without losing precision.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Page options
+ * @param {string} options.columns - Columns to select
+ * @param {Object} options.filters - Normalized filters
+ * @param {Array} options.baseConditions - Extra conditions referencing options.params
+ * @param {Array} options.params - Parameters referenced by options.baseConditions
+ * @param {string} options.sort - Validated sort option
+ * @param {number} options.limit - Page size
+ * @param {Object|null} options.cursor - Decoded cursor, or null for the first page
+ * @param {Object|null} options.pricing - Pricing the price filters and sorts are in (see resolvePricing)
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<Object>} Page rows and the cursor for the next page
+ */
+async function fetchProductsByCursor(fastify, options, operation) {
+  const { columns = '*', filters = {}, baseConditions = [], sort, limit, cursor, pricing = null } = options;
+  const params = [...(options.params || [])];
+  const conditions = [...baseConditions];
+  const sortColumn = sortExpression(sort, pricing, params);
+
+  if (cursor) {
+    conditions.push(buildSeekCondition(sort, cursor, params, sortColumn));
+  }
+
+  const whereClause = buildFilterClause(filters, params, conditions, pricing);
+  params.push(limit + 1);
+
+  const result = await executeQuery(
+    fastify,
+    `SELECT ${columns}, (${sortColumn})::text AS cursor_value
+     FROM products ${whereClause}
+     ${buildOrderByClause(sort, sortColumn)}
+     LIMIT $${params.length}`,
+    params,
+    operation
+  );
+
+  // One extra row tells us whether another page exists
+  const hasMore = result.rows.length > limit;
+  const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    rows: rows.map(({ cursor_value, ...row }) => row),
+    nextCursor: hasMore ? encodeCursor(sort, rows[rows.length - 1], cursorCurrency(sort, pricing)) : null
+  };
+}
+
+/**
+ * Fetch the category path from the root down to the given category
+ * @param {Object} fastify - Fastify instance
+ * @param {string} categoryName - Category name (matched case-insensitively)
+ * @returns {Promise<Array>} Breadcrumbs ({ id, name }), empty if the category is unknown
+ */
+async function fetchCategoryBreadcrumbs(fastify, categoryName) {
+  const result = await executeQuery(
+    fastify,
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, parent_id, 0 AS depth FROM categories WHERE LOWER(name) = LOWER($1)
+       UNION ALL
+       SELECT c.id, c.name, c.parent_id, a.depth + 1
+       FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       WHERE a.depth < 32
+     )
+     SELECT id, name FROM ancestors ORDER BY depth DESC`,
+    [categoryName],
+    'fetching category breadcrumbs'
+  );
+
+  return result.rows;
+}
+
+/**
+ * Fetch the variants of a product, in the order they were added
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} product - Product row
+ * @returns {Promise<Array>} Variants, with the product price where a variant has no override
+ */
+async function fetchProductVariants(fastify, product) {
+  const result = await executeQuery(
+    fastify,
+    `SELECT id, sku, ean, color, size, price, stock, updated_at
+     FROM product_variants WHERE product_id = $1 ORDER BY id`,
+    [product.id],
+    'fetching product variants'
+  );
+
+  // NUMERIC columns come back as strings, which the nullable price schema does not coerce
+  return result.rows.map(variant => {
+    const price = variant.price ?? product.price;
+    return { ...variant, price: price === null ? null : parseFloat(price) };
+  });
+}
+
+/**
+ * Build the option matrix of a product: the values of each option in
+ * variant order, so any color/size pair can be looked up in variants
+ * @param {Array} variants - Variants from fetchProductVariants
+ * @returns {Object} Distinct color and size values
+ */
+function buildVariantOptions(variants) {
+  const values = option => [...new Set(
+    variants.map(variant => variant[option]).filter(value => value !== null)
+  )];
+
+  return { color: values('color'), size: values('size') };
+}
+
+/**
+ * Fetch the lowercased names of a category and all of its descendants
+ * @param {Object} fastify - Fastify instance
+ * @param {string} categoryName - Category name (matched case-insensitively)
+ * @returns {Promise<Array<string>>} Category names; just the given name if it is unknown
+ */
+async function fetchCategoryNamesWithDescendants(fastify, categoryName) {
+  const result = await executeQuery(
+    fastify,
+    `WITH RECURSIVE descendants AS (
+       SELECT id, name FROM categories WHERE LOWER(name) = LOWER($1)
+       UNION
+       SELECT c.id, c.name FROM categories c JOIN descendants d ON c.parent_id = d.id
+     )
+     SELECT LOWER(name) AS name FROM descendants`,
+    [categoryName],
+    'fetching descendant categories'
+  );
+
+  return result.rows.length > 0
+    ? result.rows.map(row => row.name)
+    : [categoryName.toLowerCase()];
+}
+
+/**
+ * Text columns that can be filtered on and the query parameter for each
+ */
+const TEXT_FILTER_COLUMNS = ['brand', 'category', 'color', 'size', 'availability'];
+
+/**
+ * Filter columns that product variants also carry
+ * A product matches such a filter through its own column or any of its variants.
+ */
+const VARIANT_FILTER_COLUMNS = ['color', 'size'];
+
+/**
+ * Columns reported in the facets block of product listings
+ */
+const FACET_COLUMNS = ['brand', 'category', 'color', 'availability'];
+
+/**
+ * Utility function to validate and normalize product listing filters
+ * Values are trimmed, lowercased, de-duplicated and sorted so that
+ * equivalent filter sets produce the same cache key.
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Normalized filters (only the filters that were provided)
+ */
+function normalizeProductFilters(query) {
+  const filters = {};
+
+  for (const column of TEXT_FILTER_COLUMNS) {
+    if (query[column] === undefined) continue;
+
+    const values = [...new Set(
+      query[column]
+        .split(',')
+        .map(value => value.trim().toLowerCase())
+        .filter(Boolean)
+    )].sort();
+
+    if (values.length > 0) {
+      filters[column] = values;
+    }
+  }
+
+  if (query.minPrice !== undefined) {
+    filters.minPrice = parseFloat(query.minPrice);
+  }
+  if (query.maxPrice !== undefined) {
+    filters.maxPrice = parseFloat(query.maxPrice);
+  }
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined &&
+      filters.minPrice > filters.maxPrice) {
+    throw new Error('Price range is invalid: minPrice cannot exceed maxPrice');
+  }
+
+  if (query.inStock === 'true') {
+    filters.inStock = true;
+  }
+
+  return filters;
+}
+
+/**
+ * Build the SQL expression of a product's price in the requested currency
+ * Mirrors convertProduct: converted with the exchange rate of the product's
+ * currency and rounded to the target currency's minor units, while products
+ * priced in a currency without a rate keep their stored price.
+ * @param {Object} pricing - Pricing (see resolvePricing)
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {string} SQL expression
+ */
+function convertedPriceExpression(pricing, params) {
+  const { rate, minorUnits } = pricing.rates[pricing.currency];
+  params.push(rate, config.currency.base, minorUnits);
+  const [targetRate, baseCurrency, decimals] = [params.length - 2, params.length - 1, params.length];
+
+  return `ROUND(price * $${targetRate}::numeric / COALESCE(
+    (SELECT rate FROM exchange_rates WHERE currency = COALESCE(products.currency, $${baseCurrency})),
+    $${targetRate}::numeric
+  ), $${decimals}::int)`;
+}
+
+/**
+ * Build a parameterized WHERE clause for normalized product filters
+ * Price bounds are in the requested currency when prices are converted.
+ * @param {Object} filters - Filters returned by normalizeProductFilters
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {Array} baseConditions - Conditions (already referencing params) to combine with the filters
+ * @param {Object|null} pricing - Pricing (see resolvePricing), or null for stored prices
+ * @returns {string} WHERE clause, or an empty string when there are no conditions
+ */
+function buildFilterClause(filters, params, baseConditions = [], pricing = null) {
+  const conditions = [...baseConditions];
+
+  for (const column of TEXT_FILTER_COLUMNS) {
+    if (!filters[column]) continue;
+    params.push(filters[column]);
+
+    const condition = `LOWER(${column}) = ANY($${params.length})`;
+    conditions.push(VARIANT_FILTER_COLUMNS.includes(column)
+      ? `(${condition} OR EXISTS (
+           SELECT 1 FROM product_variants v
+           WHERE v.product_id = products.id AND LOWER(v.${column}) = ANY($${params.length})
+         ))`
+      : condition);
+  }
+
+  const hasPriceFilter = filters.minPrice !== undefined || filters.maxPrice !== undefined;
+  const price = hasPriceFilter && pricing ? convertedPriceExpression(pricing, params) : 'price';
+
+  if (filters.minPrice !== undefined) {
+    params.push(filters.minPrice);
+    conditions.push(`${price} >= $${params.length}`);
+  }
+  if (filters.maxPrice !== undefined) {
+    params.push(filters.maxPrice);
+    conditions.push(`${price} <= $${params.length}`);
+  }
+  if (filters.inStock) {
+    conditions.push('stock > 0');
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Serialize normalized filters into a stable cache key segment
+ * @param {Object} filters - Filters returned by normalizeProductFilters
+ * @returns {string} Cache key segment, or an empty string when there are no filters
+ */
+function filterCacheSegment(filters) {
+  const parts = Object.keys(filters)
+    .sort()
+    .map(key => {
+      const value = Array.isArray(filters[key]) ? filters[key].join(',') : String(filters[key]);
+      return `${key}=${encodeURIComponent(value)}`;
+    });
+
+  return parts.length > 0 ? `:filters:${parts.join(';')}` : '';
+}
+
+/**
+ * Convert GROUPING SETS facet rows into a facets object
+ * @param {Array} rows - Rows from the facet query
+ * @returns {Object} Facet counts keyed by column name
+ */
+function buildFacets(rows) {
+  const facets = Object.fromEntries(FACET_COLUMNS.map(column => [column, []]));
+
+  for (const row of rows) {
+    const column = FACET_COLUMNS.find(name => row[`${name}_grouped`] === 0);
+    if (!column || row[column] === null) continue;
+    facets[column].push({ value: row[column], count: parseInt(row.count) });
+  }
+
+  return facets;
+}
+
+/**
+ * Build the facet query for a filtered product set
+ * A single GROUPING SETS pass returns counts for every facet column.
+ * @param {string} whereClause - WHERE clause from buildFilterClause
+ * @returns {string} SQL query
+ */
+function buildFacetQuery(whereClause) {
+  const groupingColumns = FACET_COLUMNS
+    .map(column => `GROUPING(${column}) AS ${column}_grouped`)
+    .join(', ');
+  const groupingSets = FACET_COLUMNS.map(column => `(${column})`).join(', ');
+
+  return `
+    SELECT ${FACET_COLUMNS.join(', ')}, ${groupingColumns}, COUNT(*) AS count
+    FROM products
+    ${whereClause}
+    GROUP BY GROUPING SETS (${groupingSets})
+    ORDER BY count DESC
+  `;
+}
+
 /**
  * Utility function to validate and sanitize search parameters
  * @param {Object} query - Request query parameters
@@ -90,16 +861,28 @@ function validateSearchParams(query) {
   console.log("Inside validateSearchParams >> ", query.q);
   const { page, limit } = validatePaginationParams(query);
   const search = query.q ? query.q.trim() : null;
+
+  // Numeric terms keep the original index lookup unless text mode is requested
+  const mode = query.mode || (search && /^\d+$/.test(search) ? 'index' : 'text');
   
   // Validate search term (index number)
-  if (search !== null) {
+  if (search !== null && mode === 'index') {
     const indexNumber = parseInt(search);
     if (isNaN(indexNumber) || indexNumber < 1) {
       throw new Error('Search term must be a positive integer (index number)');
     }
   }
+
+  // Validate search term (full-text query)
+  if (search !== null && mode === 'text' && search.length > 100) {
+    throw new Error('Search term cannot exceed 100 characters');
+  }
+
+  // Text search defaults to relevance ordering, index search to index ordering
+  const defaultSort = mode === 'text' ? 'relevance' : 'index';
+  const sort = validateSortParam(query, defaultSort, mode === 'text');
   
-  return { page, limit, search };
+  return { page, limit, search, mode, sort, defaultSort };
 }
 
 
@@ -115,23 +898,33 @@ export default async function productRoutes(fastify, opts) {
 
     /**
    * GET /api/products/search
-   * Search products by index number
+   * Search products by index number or by full-text query
    * 
    * Query Parameters:
-   * - search: Index number to search for (positive integer)
+   * - q: Index number or free-text search term
+   * - mode: "index" or "text" (default: index for numeric terms, text otherwise)
+   * - sort: index, price_asc, price_desc, name, newest, stock or relevance (text mode only)
    * - page: Page number (default: 1)
    * - limit: Items per page (default: 10, max: 100)
+   * - currency: Currency to convert prices to (or the Accept-Currency header)
+   * 
+   * Text mode matches name, brand, short_description and description through
+   * the products.search_vector column and orders results by rank.
    * 
    * Response:
-   * - products: Array of product objects matching the index
+   * - products: Array of product objects matching the search
    * - page: Current page number
    * - limit: Items per page
    * - total: Total number of matching products
-   * - searchTerm: The index number searched
+   * - searchTerm: The search term used
+   * - mode: The search mode used
    */
     fastify.get('/search', {
+      config: {
+        scope: PERMISSIONS.CATALOG_READ
+      },
       schema: {
-        querystring: querySchema,
+        querystring: searchQuerySchema,
         response: {
           200: {
             type: 'object',
@@ -145,19 +938,24 @@ export default async function productRoutes(fastify, opts) {
                     index: { type: 'integer' },
                     name: { type: 'string' },
                     description: { type: 'string' },
+                    short_description: { type: 'string' },
                     price: { type: 'number' },
+                    currency: { type: 'string' },
                     category: { type: 'string' },
                     brand: { type: 'string' },
                     image_url: { type: 'string' },
                     stock: { type: 'integer' },
-                    internal_id: { type: 'string' }
+                    internal_id: { type: 'string' },
+                    rank: { type: 'number' }
                   }
                 }
               },
               page: { type: 'integer' },
               limit: { type: 'integer' },
               total: { type: 'integer' },
-              searchTerm: { type: 'string' }
+              searchTerm: { type: 'string' },
+              mode: { type: 'string' },
+              sort: { type: 'string' }
             }
           }
         }
@@ -170,8 +968,9 @@ export default async function productRoutes(fastify, opts) {
       
       try {
         // Validate and sanitize input parameters
-        const { page, limit, search } = validateSearchParams(request.query);
+        const { page, limit, search, mode, sort, defaultSort } = validateSearchParams(request.query);
         const offset = (page - 1) * limit;
+        const sortSegment = sortCacheSegment(sort, defaultSort);
         
         // Require search term for this endpoint
         if (!search) {
@@ -183,141 +982,173 @@ export default async function productRoutes(fastify, opts) {
           reply.code(400).send({
             error: 'Bad Request',
             message: 'Search term is required',
-            details: 'Please provide an index number using the "q" query parameter'
+            details: 'Please provide an index number or search text using the "q" query parameter'
           });
           return;
         }
 
-        // Validate that search term is a positive integer (index number)
-        const indexNumber = parseInt(search);
-        if (isNaN(indexNumber) || indexNumber < 1) {
-          fastify.log.warn('Invalid index number provided', {
-            search,
-            userAgent: request.headers['user-agent'],
-            ip: request.ip
-          });
+        const pricing = await resolvePricing(fastify, request, reply);
+        const pricingSegment = pricingCacheSegment(pricing);
+
+        let cacheKey;
+        let searchQuery;
+        let countQuery;
+        let searchValue;
+        let searchParams;
+        let orderBy;
+
+        if (mode === 'index') {
+          // Validate that search term is a positive integer (index number)
+          const indexNumber = parseInt(search);
+          if (isNaN(indexNumber) || indexNumber < 1) {
+            fastify.log.warn('Invalid index number provided', {
+              search,
+              userAgent: request.headers['user-agent'],
+              ip: request.ip
+            });
+            
+            reply.code(400).send({
+              error: 'Bad Request',
+              message: 'Search term must be a positive integer (index number)',
+              details: 'Please provide a valid index number'
+            });
+            return;
+          }
+
+          // Generate cache key for this specific search query
+          cacheKey = `products:search:index:${indexNumber}:page:${page}:limit:${limit}${sortSegment}${pricingSegment}`;
+          searchValue = indexNumber;
+          searchParams = [searchValue, limit, offset];
+          orderBy = buildOrderByClause(sort, sortExpression(sort, pricing, searchParams));
+
+          // Search by index number
+          searchQuery = `
+            SELECT 
+              id, 
+              index,
+              name, 
+              description, 
+              price, 
+              currency,
+              category,
+              brand,
+              image_url,
+              stock,
+              internal_id
+            FROM products 
+            WHERE index = $1
+            ${orderBy}
+            LIMIT $2 OFFSET $3
+          `;
           
-          reply.code(400).send({
-            error: 'Bad Request',
-            message: 'Search term must be a positive integer (index number)',
-            details: 'Please provide a valid index number'
-          });
-          return;
+          countQuery = `
+            SELECT COUNT(*) as total
+            FROM products 
+            WHERE index = $1
+          `;
+        } else {
+          // Normalize whitespace and case so equivalent searches share a cache entry
+          searchValue = search.replace(/\s+/g, ' ').toLowerCase();
+          cacheKey = `products:search:text:${encodeURIComponent(searchValue)}:page:${page}:limit:${limit}${sortSegment}${pricingSegment}`;
+          searchParams = [searchValue, limit, offset];
+          orderBy = buildOrderByClause(sort, sortExpression(sort, pricing, searchParams));
+
+          // Ranked full-text search over the generated search_vector column
+          searchQuery = `
+            SELECT 
+              id, 
+              index,
+              name, 
+              description, 
+              short_description,
+              price, 
+              currency,
+              category,
+              brand,
+              image_url,
+              stock,
+              internal_id,
+              ts_rank_cd(search_vector, query) AS rank
+            FROM products, websearch_to_tsquery('english', $1) AS query
+            WHERE search_vector @@ query
+            ${orderBy}
+            LIMIT $2 OFFSET $3
+          `;
+
+          countQuery = `
+            SELECT COUNT(*) as total
+            FROM products 
+            WHERE search_vector @@ websearch_to_tsquery('english', $1)
+          `;
         }
         
-        fastify.log.info('Searching products by index', {
+        fastify.log.info(`Searching products by ${mode}`, {
           searchTerm: search,
-          indexNumber,
+          mode,
           page,
           limit,
           offset,
           userAgent: request.headers['user-agent'],
           ip: request.ip
         });
-  
-        // Generate cache key for this specific search query
-        const cacheKey = `products:search:index:${indexNumber}:page:${page}:limit:${limit}`;
-        
-        // Try to get data from Redis cache first
-        try {
-          const cachedData = await fastify.redis.get(cacheKey);
-          if (cachedData) {
-            fastify.log.info('Cache hit for product search by index', { cacheKey, searchTerm: search, page, limit });
-            const result = JSON.parse(cachedData);
-            
-            reply.header('X-Cache', 'HIT');
-            reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-            
-            return result;
-          }
-        } catch (cacheError) {
-          fastify.log.warn('Redis cache error, proceeding with database query', {
-            error: cacheError.message,
-            cacheKey
-          });
-        }
-  
-        // Cache miss - search by index in database
-        fastify.log.info('Cache miss, performing database search by index', { cacheKey, searchTerm: search, page, limit });
-        
-        // Search by index number
-        const searchQuery = `
-          SELECT 
-            id, 
-            index,
-            name, 
-            description, 
-            price, 
-            category,
-            brand,
-            image_url,
-            stock,
-            internal_id
-          FROM products 
-          WHERE index = $1
-          ORDER BY index ASC
-          LIMIT $2 OFFSET $3
-        `;
-        
-        const countQuery = `
-          SELECT COUNT(*) as total
-          FROM products 
-          WHERE index = $1
-        `;
-  
-        // Execute search query
-        const result = await executeQuery(
-          fastify,
-          searchQuery,
-          [indexNumber, limit, offset],
-          'searching products by index'
-        );
-  
-        // Get total count for pagination
-        const countResult = await executeQuery(
-          fastify,
-          countQuery,
-          [indexNumber],
-          'counting search results by index'
-        );
-  
-        const total = parseInt(countResult.rows[0].total);
         
-        const response = {
-          products: result.rows,
-          page,
-          limit,
-          total,
-          searchTerm: search
-        };
-  
-        // Cache the result in Redis for 60 seconds
-        try {
-          await fastify.redis.set(cacheKey, JSON.stringify(response), 'EX', 60);
-          fastify.log.info('Cached search results by index', { cacheKey, ttl: 60, searchTerm: search });
-        } catch (cacheError) {
-          fastify.log.warn('Failed to cache search results by index', {
-            error: cacheError.message,
-            cacheKey
-          });
-        }
+        // Read through the Redis cache (60 seconds, served stale while refreshing)
+        const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+          ttl: 60,
+          tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, {}), ...pricingTags(pricing), ...productTags(response.products)],
+          reply
+        }, async () => {
+          // Cache miss - search in database
+          fastify.log.info(`Cache miss, performing database search by ${mode}`, { cacheKey, searchTerm: search, page, limit });
+    
+          // Execute search query
+          const result = await executeQuery(
+            fastify,
+            searchQuery,
+            searchParams,
+            `searching products by ${mode}`
+          );
+    
+          // Get total count for pagination
+          const countResult = await executeQuery(
+            fastify,
+            countQuery,
+            [searchValue],
+            `counting search results by ${mode}`
+          );
+    
+          return {
+            products: convertProducts(result.rows, pricing),
+            page,
+            limit,
+            total: parseInt(countResult.rows[0].total),
+            searchTerm: search,
+            mode,
+            sort
+          };
+        });
   
-        reply.header('X-Cache', 'MISS');
+        reply.header('X-Cache', cacheStatus);
         reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+        if (cacheStatus !== 'MISS') {
+          fastify.log.info(`Cache hit for product search by ${mode}`, { cacheKey, cacheStatus, searchTerm: search, page, limit });
+          return data;
+        }
         
-        fastify.log.info('Product search by index completed successfully', {
+        fastify.log.info(`Product search by ${mode} completed successfully`, {
           searchTerm: search,
-          count: result.rows.length,
-          total,
+          count: data.products.length,
+          total: data.total,
           page,
           limit,
           responseTime: `${Date.now() - startTime}ms`
         });
   
-        return response;
+        return data;
   
       } catch (error) {
-        fastify.log.error('Error searching products by index:', {
+        fastify.log.error('Error searching products:', {
           error: error.message,
           stack: error.stack,
           query: request.query,
@@ -329,7 +1160,10 @@ export default async function productRoutes(fastify, opts) {
         if (error.message.includes('Page number must be') || 
             error.message.includes('Limit must be') ||
             error.message.includes('Limit cannot exceed') ||
-            error.message.includes('Search term cannot be')) {
+            error.message.includes('Search term must be') ||
+            error.message.includes('Search term cannot') ||
+            error.message.includes('Sort option') ||
+            error.message.includes('Unsupported currency')) {
           reply.code(400).send({
             error: 'Bad Request',
             message: error.message,
@@ -338,7 +1172,7 @@ export default async function productRoutes(fastify, opts) {
         } else {
           reply.code(500).send({
             error: 'Internal Server Error',
-            message: 'Failed to search products by index',
+            message: 'Failed to search products',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
           });
         }
@@ -347,6 +1181,9 @@ export default async function productRoutes(fastify, opts) {
   
 
     fastify.get('/debug/no-params', {
+      config: {
+        permission: PERMISSIONS.OPS_READ
+      },
       schema: {
         params: {},
         querystring: {},
@@ -362,19 +1199,34 @@ export default async function productRoutes(fastify, opts) {
   
   /**
    * GET /api/products
-   * Retrieve paginated list of products with Redis caching
+   * Retrieve paginated, filterable list of products with Redis caching
    * 
    * Query Parameters:
    * - page: Page number (default: 1)
    * - limit: Items per page (default: 10, max: 100)
+   * - brand, category, color, size, availability: Comma separated values (case-insensitive)
+   * - minPrice, maxPrice: Inclusive price range
+   * - inStock: "true" to only return products with stock > 0
+   * - sort: index (default), price_asc, price_desc, name, newest or stock
+   * - cursor: Keyset cursor from a previous nextCursor; an empty value starts
+   *   cursor pagination (page is ignored and total is not computed)
+   * - currency: Currency to convert prices to (or the Accept-Currency header)
    * 
    * Response:
    * - products: Array of product objects
-   * - page: Current page number
+   * - page: Current page number (page mode only)
    * - limit: Items per page
-   * - total: Total number of products (if available)
+   * - total: Total number of products matching the filters (page mode only)
+   * - nextCursor: Cursor for the next page, null on the last page (cursor mode only)
+   * - sort: Sort option applied to the listing
+   * - filters: Normalized filters applied to the listing
+   * - facets: Counts per brand/category/color/availability for the filtered set
+   *   (page mode and the first cursor page)
    */
   fastify.get('/', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
     schema: {
       querystring: querySchema,
       response: {
@@ -390,8 +1242,12 @@ export default async function productRoutes(fastify, opts) {
                   index: { type: 'integer' },
                   name: { type: 'string' },
                   price: { type: 'number' },
+                  currency: { type: 'string' },
                   category: { type: 'string' },
                   brand: { type: 'string' },
+                  color: { type: 'string' },
+                  size: { type: 'string' },
+                  availability: { type: 'string' },
                   image_url: { type: 'string' },
                   stock: { type: 'integer' },
                   internal_id: { type: 'string' },
@@ -400,7 +1256,11 @@ export default async function productRoutes(fastify, opts) {
             },
             page: { type: 'integer' },
             limit: { type: 'integer' },
-            total: { type: 'integer' }
+            total: { type: 'integer' },
+            nextCursor: { type: ['string', 'null'] },
+            sort: { type: 'string' },
+            filters: { type: 'object', additionalProperties: true },
+            facets: facetsResponseSchema
           }
         }
       }
@@ -412,124 +1272,160 @@ export default async function productRoutes(fastify, opts) {
     try {
       // Validate and sanitize input parameters
       const { page, limit } = validatePaginationParams(request.query);
+      const filters = normalizeProductFilters(request.query);
+      const hasFilters = Object.keys(filters).length > 0;
+      const sort = validateSortParam(request.query, 'index');
       const offset = (page - 1) * limit;
+      const pricing = await resolvePricing(fastify, request, reply);
+
+      // Cursor mode - keyset pagination on (sort column, id) without OFFSET or COUNT(*)
+      if (request.query.cursor !== undefined) {
+        const cursor = decodeCursor(request.query.cursor, sort, cursorCurrency(sort, pricing));
+        const cacheKey = `products:cursor:start:limit:${limit}${sortCacheSegment(sort, 'index')}${filterCacheSegment(filters)}${pricingCacheSegment(pricing)}`;
+
+        fastify.log.info('Fetching products by cursor', {
+          limit,
+          sort,
+          filters,
+          firstPage: !cursor,
+          userAgent: request.headers['user-agent'],
+          ip: request.ip
+        });
+
+        // Read the first page through the Redis cache (60 seconds, served stale while refreshing)
+        const { data, cacheStatus } = await cursorPageThrough(fastify, cursor, cacheKey, {
+          ttl: 60,
+          tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, filters), ...pricingTags(pricing), ...productTags(response.products)],
+          reply
+        }, async () => {
+          // Facets only change with the filters, so they are computed for the first page only
+          const facetParams = [];
+          const facetWhereClause = buildFilterClause(filters, facetParams, [], pricing);
+          const [pageResult, facetResult] = await Promise.all([
+            fetchProductsByCursor(fastify, { filters, sort, limit, cursor, pricing }, 'fetching products by cursor'),
+            cursor ? null : executeQuery(
+              fastify,
+              buildFacetQuery(facetWhereClause),
+              facetParams,
+              'computing product facets'
+            )
+          ]);
+
+          return {
+            products: convertProducts(pageResult.rows, pricing),
+            limit,
+            nextCursor: pageResult.nextCursor,
+            sort,
+            filters,
+            ...(facetResult && { facets: buildFacets(facetResult.rows) })
+          };
+        });
+
+        reply.header('X-Cache', cacheStatus);
+        reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+        if (cacheStatus !== 'MISS' && cacheStatus !== 'BYPASS') {
+          fastify.log.info('Cache hit for products by cursor', { cacheKey, cacheStatus, limit });
+          return data;
+        }
+
+        fastify.log.info('Products fetched by cursor successfully', {
+          count: data.products.length,
+          limit,
+          hasMore: data.nextCursor !== null,
+          responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return data;
+      }
       
       fastify.log.info('Fetching products', {
         page,
         limit,
         offset,
+        sort,
+        filters,
         userAgent: request.headers['user-agent'],
         ip: request.ip
       });
 
-      // Generate cache keys
-      const cacheKey = `products:page:${page}:limit:${limit}`;
+      // Generate cache keys (sort and filter segments keep variants from colliding)
+      const cacheKey = `products:page:${page}:limit:${limit}${sortCacheSegment(sort, 'index')}${filterCacheSegment(filters)}${pricingCacheSegment(pricing)}`;
       const totalCountKey = 'products:total:count';
       
-      // Try to get data from Redis cache first
-      try {
-        const cachedData = await fastify.redis.get(cacheKey);
-        if (cachedData) {
-          fastify.log.info('Cache hit for products', { cacheKey, page, limit });
-          const result = JSON.parse(cachedData);
-          
-          reply.header('X-Cache', 'HIT');
-          reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-          
-          return result;
-        }
-      } catch (cacheError) {
-        fastify.log.warn('Redis cache error, proceeding with database query', {
-          error: cacheError.message,
-          cacheKey
-        });
-      }
+      // Read through the Redis cache (60 seconds, served stale while refreshing)
+      const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+        ttl: 60,
+        tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, filters), ...pricingTags(pricing), ...productTags(response.products)],
+        reply
+      }, async () => {
+        // Cache miss - fetch from database
+        fastify.log.info('Cache miss, fetching from database', { cacheKey, page, limit });
+
+        const filterParams = [];
+        const whereClause = buildFilterClause(filters, filterParams, [], pricing);
+
+        const countProducts = async () => {
+          const countResult = await executeQuery(
+            fastify,
+            `SELECT COUNT(*) as total FROM products ${whereClause}`,
+            filterParams,
+            'counting total products'
+          );
+          return parseInt(countResult.rows[0].total);
+        };
 
-      // Cache miss - fetch from database
-      fastify.log.info('Cache miss, fetching from database', { cacheKey, page, limit });
-      
-      // Try to get total count from cache first
-      let total;
-      try {
-        const cachedTotal = await fastify.redis.get(totalCountKey);
-        if (cachedTotal) {
-          total = parseInt(cachedTotal);
-          fastify.log.info('Cache hit for total count', { totalCountKey, total });
-        }
-      } catch (cacheError) {
-        fastify.log.warn('Redis cache error for total count, proceeding with database query', {
-          error: cacheError.message,
-          totalCountKey
-        });
-      }
+        // The page query has its own parameters for the sort expression
+        const pageParams = [...filterParams];
+        const orderBy = buildOrderByClause(sort, sortExpression(sort, pricing, pageParams));
 
-      // Execute queries (products query always, count query only if not cached)
-      const queries = [
-        executeQuery(
-          fastify,
-          'SELECT * FROM products ORDER BY index LIMIT $1 OFFSET $2',
-          [limit, offset],
-          'fetching products'
-        )
-      ];
-
-      if (!total) {
-        queries.push(
+        // Only the unfiltered total is cached, for 5 minutes (longer than product cache)
+        const [result, facetResult, total] = await Promise.all([
           executeQuery(
             fastify,
-            'SELECT COUNT(*) as total FROM products',
-            [],
-            'counting total products'
-          )
-        );
-      }
-
-      const results = await Promise.all(queries);
-      const result = results[0];
-      
-      if (!total) {
-        total = parseInt(results[1].rows[0].total);
-        // Cache total count for 5 minutes (longer than product cache)
-        try {
-          await fastify.redis.set(totalCountKey, total.toString(), 'EX', 300);
-          fastify.log.info('Cached total count', { totalCountKey, total, ttl: 300 });
-        } catch (cacheError) {
-          fastify.log.warn('Failed to cache total count', {
-            error: cacheError.message,
-            totalCountKey
-          });
-        }
-      }
+            `SELECT * FROM products ${whereClause} ${orderBy} LIMIT $${pageParams.length + 1} OFFSET $${pageParams.length + 2}`,
+            [...pageParams, limit, offset],
+            'fetching products'
+          ),
+          executeQuery(
+            fastify,
+            buildFacetQuery(whereClause),
+            filterParams,
+            'computing product facets'
+          ),
+          hasFilters
+            ? countProducts()
+            : cacheThrough(fastify, totalCountKey, { ttl: 300, tags: [CACHE_TAGS.LISTING] }, countProducts)
+              .then(({ data: total }) => parseInt(total))
+        ]);
+
+        return {
+          products: convertProducts(result.rows, pricing),
+          page,
+          limit,
+          total,
+          sort,
+          filters,
+          facets: buildFacets(facetResult.rows)
+        };
+      });
 
-      const response = {
-        products: result.rows,
-        page,
-        limit,
-        total
-      };
+      reply.header('X-Cache', cacheStatus);
+      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
 
-      // Cache the result in Redis for 60 seconds
-      try {
-        await fastify.redis.set(cacheKey, JSON.stringify(response), 'EX', 60);
-        fastify.log.info('Cached products data', { cacheKey, ttl: 60 });
-      } catch (cacheError) {
-        fastify.log.warn('Failed to cache products data', {
-          error: cacheError.message,
-          cacheKey
-        });
+      if (cacheStatus !== 'MISS') {
+        fastify.log.info('Cache hit for products', { cacheKey, cacheStatus, page, limit });
+        return data;
       }
 
-      reply.header('X-Cache', 'MISS');
-      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-      
       fastify.log.info('Products fetched successfully', {
-        count: result.rows.length,
+        count: data.products.length,
         page,
         limit,
         responseTime: `${Date.now() - startTime}ms`
       });
 
-      return response;
+      return data;
 
     } catch (error) {
       fastify.log.error('Error fetching products:', {
@@ -543,11 +1439,15 @@ export default async function productRoutes(fastify, opts) {
       // Determine appropriate error response
       if (error.message.includes('Page number must be') || 
           error.message.includes('Limit must be') ||
-          error.message.includes('Limit cannot exceed')) {
+          error.message.includes('Limit cannot exceed') ||
+          error.message.includes('Price range is invalid') ||
+          error.message.includes('Sort option') ||
+          error.message.includes('Cursor') ||
+          error.message.includes('Unsupported currency')) {
         reply.code(400).send({
           error: 'Bad Request',
           message: error.message,
-          details: 'Invalid pagination parameters'
+          details: 'Invalid pagination or filter parameters'
         });
       } else {
         reply.code(500).send({
@@ -567,34 +1467,28 @@ export default async function productRoutes(fastify, opts) {
    * Parameters:
    * - id: Product Index (positive integer)
    * 
+   * Query Parameters:
+   * - currency: Currency to convert the price to (or the Accept-Currency header)
+   * 
    * Response:
-   * - Product object or 404 if not found
+   * - Product object with category breadcrumbs (root first), its image gallery
+   *   (display order), its variants and the option matrix (color and size
+   *   values of the variants), or 404 if not found
    */
   fastify.get('/:index', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
     schema: {
       params: paramsSchema,
+      querystring: {
+        type: 'object',
+        properties: {
+          currency: currencyQueryProperty
+        }
+      },
       response: {
-        200: {
-          type: 'object',
-          properties: {
-            id: { type: 'integer' },
-            index: { type: 'integer' },
-            name: { type: 'string' },
-            description: { type: 'string' },
-            price: { type: 'number' },
-            image_url: { type: 'string' },
-            stock: { type: 'integer' },
-            brand: { type: 'string' },
-            category: { type: 'string' },
-            currency: { type: 'string' },
-            ean: { type: 'string' },
-            color: { type: 'string' },
-            size: { type: 'string' },
-            availability: { type: 'string' },
-            short_description: { type: 'string' },
-            internal_id: { type: 'string' }
-          }
-        },
+        200: productResponseSchema,
         404: {
           type: 'object',
           properties: {
@@ -626,6 +1520,8 @@ export default async function productRoutes(fastify, opts) {
         return;
       }
 
+      const pricing = await resolvePricing(fastify, request, reply);
+
       fastify.log.info('Fetching product by Index', {
         productIndex,
         userAgent: request.headers['user-agent'],
@@ -649,8 +1545,30 @@ export default async function productRoutes(fastify, opts) {
         return;
       }
 
-      const product = result.rows[0];
-      
+      const storedProduct = result.rows[0];
+      const [breadcrumbs, images, variants] = await Promise.all([
+        storedProduct.category ? fetchCategoryBreadcrumbs(fastify, storedProduct.category) : [],
+        fetchProductImages(fastify, storedProduct.id),
+        fetchProductVariants(fastify, storedProduct)
+      ]);
+
+      const product = convertProduct(storedProduct, pricing);
+      product.breadcrumbs = breadcrumbs;
+      product.images = images;
+      product.variants = variants.map(variant =>
+        convertProduct({ ...variant, currency: storedProduct.currency }, pricing)
+      );
+      product.options = buildVariantOptions(variants);
+
+      // Lets clients revalidate with If-Modified-Since (see httpCaching). Converted
+      // prices also change with exchange rates, so those rely on the ETag alone.
+      const lastModified = Math.max(
+        ...[storedProduct, ...variants].filter(row => row.updated_at).map(row => new Date(row.updated_at).getTime())
+      );
+      if (lastModified > 0 && !pricing) {
+        reply.header('Last-Modified', new Date(lastModified).toUTCString());
+      }
+
       reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
       
       fastify.log.info('Product fetched successfully', {
@@ -670,6 +1588,14 @@ export default async function productRoutes(fastify, opts) {
         ip: request.ip
       });
 
+      if (error.message.includes('Unsupported currency')) {
+        reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+        return;
+      }
+
       reply.code(500).send({
         error: 'Internal Server Error',
         message: 'Failed to fetch product',
@@ -679,12 +1605,244 @@ export default async function productRoutes(fastify, opts) {
   });
 
 
+  /**
+   * POST /api/products
+   * Create a product
+   * 
+   * Body:
+   * - name (required) and any other product column; index defaults to the next free index
+   * 
+   * Response:
+   * - 201 with the created product object
+   */
+  fastify.post('/', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      body: createProductBodySchema,
+      response: {
+        201: productResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const body = request.body;
+    const columns = PRODUCT_WRITABLE_COLUMNS.filter(column => body[column] !== undefined);
+    const params = columns.map(column => body[column]);
+
+    // Explicit index, or the next free one computed in the same statement
+    let indexValue = 'COALESCE((SELECT MAX(index) FROM products), 0) + 1';
+    if (body.index !== undefined) {
+      params.push(body.index);
+      indexValue = `$${params.length}`;
+    }
+
+    fastify.log.info('Creating product', {
+      index: body.index,
+      name: body.name,
+      ip: request.ip
+    });
+
+    // Creates are serialized on a transaction-scoped advisory lock, so two
+    // concurrent creates cannot read the same MAX(index)
+    let result;
+    try {
+      result = await fastify.pg.transact(async client => {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('products.index'))");
+        return client.query(
+          `INSERT INTO products (${[...columns, 'index'].join(', ')})
+           VALUES (${[...columns.map((column, i) => `$${i + 1}`), indexValue].join(', ')})
+           RETURNING *`,
+          params
+        );
+      });
+    } catch (dbError) {
+      fastify.log.error('Database error during creating product:', {
+        error: dbError.message,
+        code: dbError.code,
+        detail: dbError.detail
+      });
+      throw handleDatabaseError(dbError, 'creating product');
+    }
+
+    const product = result.rows[0];
+    await invalidateProductCache(fastify, `product ${product.index} created`);
+
+    fastify.log.info('Product created successfully', { productIndex: product.index, id: product.id });
+
+    reply.code(201);
+    return product;
+  }));
+
+
+  /**
+   * PUT /api/products/:index
+   * Replace every writable column of a product
+   * 
+   * Omitted columns are reset to NULL (currency to 'USD').
+   * 
+   * Response:
+   * - Updated product object or 404 if not found
+   */
+  fastify.put('/:index', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: paramsSchema,
+      body: replaceProductBodySchema,
+      response: {
+        200: productResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const body = { currency: 'USD', ...request.body };
+    const params = PRODUCT_WRITABLE_COLUMNS.map(column => body[column] ?? null);
+    const assignments = PRODUCT_WRITABLE_COLUMNS.map((column, i) => `${column} = $${i + 1}`);
+    params.push(productIndex);
+
+    fastify.log.info('Replacing product', { productIndex, ip: request.ip });
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `UPDATE products
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE index = $${params.length}
+         RETURNING *`,
+        params,
+        'replacing product'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'replacing product');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Product', productIndex);
+    }
+
+    await invalidateProductCache(fastify, `product ${productIndex} replaced`, [productIndex]);
+
+    fastify.log.info('Product replaced successfully', { productIndex });
+
+    return result.rows[0];
+  }));
+
+
+  /**
+   * PATCH /api/products/:index
+   * Update only the provided columns of a product
+   * 
+   * Response:
+   * - Updated product object or 404 if not found
+   */
+  fastify.patch('/:index', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: paramsSchema,
+      body: updateProductBodySchema,
+      response: {
+        200: productResponseSchema
+      }
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+    const columns = PRODUCT_WRITABLE_COLUMNS.filter(column => request.body[column] !== undefined);
+    const params = columns.map(column => request.body[column]);
+    const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+    params.push(productIndex);
+
+    fastify.log.info('Updating product', { productIndex, columns, ip: request.ip });
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        `UPDATE products
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE index = $${params.length}
+         RETURNING *`,
+        params,
+        'updating product'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'updating product');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Product', productIndex);
+    }
+
+    await invalidateProductCache(fastify, `product ${productIndex} updated`, [productIndex]);
+
+    fastify.log.info('Product updated successfully', { productIndex, columns });
+
+    return result.rows[0];
+  }));
+
+
+  /**
+   * DELETE /api/products/:index
+   * Delete a product
+   * 
+   * Its gallery goes with it, and uploaded image files are removed from storage.
+   * 
+   * Response:
+   * - 204 with no body, or 404 if not found
+   */
+  fastify.delete('/:index', {
+    config: {
+      permission: PERMISSIONS.CATALOG_WRITE
+    },
+    schema: {
+      params: paramsSchema
+    }
+  }, asyncHandler(async (request, reply) => {
+    const productIndex = parseInt(request.params.index);
+
+    fastify.log.info('Deleting product', { productIndex, ip: request.ip });
+
+    let result;
+    try {
+      result = await executeQuery(
+        fastify,
+        // The gallery is deleted by ON DELETE CASCADE; the subquery still sees it
+        `DELETE FROM products WHERE index = $1
+         RETURNING id, ARRAY(
+           SELECT json_build_object('storage_key', storage_key, 'variants', variants)
+           FROM product_images WHERE product_id = products.id AND storage_key IS NOT NULL
+         ) AS stored_images`,
+        [productIndex],
+        'deleting product'
+      );
+    } catch (dbError) {
+      throw handleDatabaseError(dbError, 'deleting product');
+    }
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Product', productIndex);
+    }
+
+    await invalidateProductCache(fastify, `product ${productIndex} deleted`, [productIndex]);
+    await deleteStoredImages(fastify, result.rows[0].stored_images);
+
+    fastify.log.info('Product deleted successfully', { productIndex });
+
+    reply.code(204).send();
+  }));
+
+
   /**
    * GET /api/products/latest
    * Retrieve the latest products (most recently added)
    * 
    * Query Parameters:
    * - limit: Number of latest products to return (default: 10, max: 50)
+   * - currency: Currency to convert prices to (or the Accept-Currency header)
    * 
    * Response:
    * - products: Array of latest product objects
@@ -692,15 +1850,19 @@ export default async function productRoutes(fastify, opts) {
    * - total: Total number of products available
    */
   fastify.get('/latest', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
     schema: {
       querystring: {
         type: 'object',
         properties: {
           limit: { 
             type: 'string', 
-            pattern: '^[1-9]\\d*$',
+            pattern: POSITIVE_INTEGER_PATTERN,
             description: 'Number of latest products (must be positive integer, max 50)'
-          }
+          },
+          currency: currencyQueryProperty
         }
       },
       response: {
@@ -716,6 +1878,7 @@ export default async function productRoutes(fastify, opts) {
                   index: { type: 'integer' },
                   name: { type: 'string' },
                   price: { type: 'number' },
+                  currency: { type: 'string' },
                   category: { type: 'string' },
                   brand: { type: 'string' },
                   image_url: { type: 'string' },
@@ -745,6 +1908,8 @@ export default async function productRoutes(fastify, opts) {
         throw new Error('Limit cannot exceed 50 items');
       }
       
+      const pricing = await resolvePricing(fastify, request, reply);
+
       fastify.log.info('Fetching latest products', {
         limit,
         userAgent: request.headers['user-agent'],
@@ -752,76 +1917,56 @@ export default async function productRoutes(fastify, opts) {
       });
 
       // Generate cache key
-      const cacheKey = `products:latest:limit:${limit}`;
+      const cacheKey = `products:latest:limit:${limit}${pricingCacheSegment(pricing)}`;
       
-      // Try to get data from Redis cache first
-      try {
-        const cachedData = await fastify.redis.get(cacheKey);
-        if (cachedData) {
-          fastify.log.info('Cache hit for latest products', { cacheKey, limit });
-          const result = JSON.parse(cachedData);
-          
-          reply.header('X-Cache', 'HIT');
-          reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-          
-          return result;
-        }
-      } catch (cacheError) {
-        fastify.log.warn('Redis cache error, proceeding with database query', {
-          error: cacheError.message,
-          cacheKey
-        });
-      }
+      // Read through the Redis cache (30 seconds, shorter TTL for latest products)
+      const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+        ttl: 30,
+        tags: response => [CACHE_TAGS.LISTING, ...pricingTags(pricing), ...productTags(response.products)],
+        reply
+      }, async () => {
+        // Cache miss - fetch from database
+        fastify.log.info('Cache miss, fetching latest products from database', { cacheKey, limit });
+
+        // Get latest products ordered by ID (assuming ID is auto-increment)
+        // If you have a created_at timestamp, use that instead: ORDER BY created_at DESC
+        const result = await executeQuery(
+          fastify,
+          'SELECT id, index, name, category, brand, price, currency, image_url, stock, internal_id FROM products ORDER BY index DESC LIMIT $1',
+          [limit],
+          'fetching latest products'
+        );
 
-      // Cache miss - fetch from database
-      fastify.log.info('Cache miss, fetching latest products from database', { cacheKey, limit });
-      
-      // Get latest products ordered by ID (assuming ID is auto-increment)
-      // If you have a created_at timestamp, use that instead: ORDER BY created_at DESC
-      const result = await executeQuery(
-        fastify,
-        'SELECT id, index, name, category, brand, price, image_url, stock, internal_id FROM products ORDER BY index DESC LIMIT $1',
-        [limit],
-        'fetching latest products'
-      );
+        // Get total count for reference
+        const countResult = await executeQuery(
+          fastify,
+          'SELECT COUNT(*) as total FROM products',
+          [],
+          'counting total products'
+        );
 
-      // Get total count for reference
-      const countResult = await executeQuery(
-        fastify,
-        'SELECT COUNT(*) as total FROM products',
-        [],
-        'counting total products'
-      );
+        return {
+          products: convertProducts(result.rows, pricing),
+          limit,
+          total: parseInt(countResult.rows[0].total)
+        };
+      });
 
-      const total = parseInt(countResult.rows[0].total);
-      
-      const response = {
-        products: result.rows,
-        limit,
-        total
-      };
+      reply.header('X-Cache', cacheStatus);
+      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
 
-      // Cache the result in Redis for 30 seconds (shorter TTL for latest products)
-      try {
-        await fastify.redis.set(cacheKey, JSON.stringify(response), 'EX', 30);
-        fastify.log.info('Cached latest products data', { cacheKey, ttl: 30 });
-      } catch (cacheError) {
-        fastify.log.warn('Failed to cache latest products data', {
-          error: cacheError.message,
-          cacheKey
-        });
+      if (cacheStatus !== 'MISS') {
+        fastify.log.info('Cache hit for latest products', { cacheKey, cacheStatus, limit });
+        return data;
       }
 
-      reply.header('X-Cache', 'MISS');
-      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-      
       fastify.log.info('Latest products fetched successfully', {
-        count: result.rows.length,
+        count: data.products.length,
         limit,
         responseTime: `${Date.now() - startTime}ms`
       });
 
-      return response;
+      return data;
 
     } catch (error) {
       fastify.log.error('Error fetching latest products:', {
@@ -834,7 +1979,8 @@ export default async function productRoutes(fastify, opts) {
 
       // Determine appropriate error response
       if (error.message.includes('Limit must be') || 
-          error.message.includes('Limit cannot exceed')) {
+          error.message.includes('Limit cannot exceed') ||
+          error.message.includes('Unsupported currency')) {
         reply.code(400).send({
           error: 'Bad Request',
           message: error.message,
@@ -855,17 +2001,37 @@ export default async function productRoutes(fastify, opts) {
 
   /**
    * GET /api/products/category/:categoryName
-   * Retrieve 4 products from a specific category
+   * Retrieve a paginated, filterable list of products from a specific category
    * 
    * Parameters:
    * - categoryName: Name of the category to filter by
    * 
+   * Query Parameters:
+   * - mode: "list" (default) or "showcase" (up to 5 category products padded
+   *   with random products from other categories; page, cursor and filters are ignored)
+   * - page: Page number (default: 1)
+   * - limit: Items per page (default: 10, max: 100)
+   * - cursor: Keyset cursor from a previous nextCursor; an empty value starts
+   *   cursor pagination (page is ignored and total is not computed)
+   * - sort: index (default), price_asc, price_desc, name, newest or stock
+   * - brand, color, size, availability, minPrice, maxPrice, inStock: Same filters as GET /api/products
+   * - includeDescendants: "true" to include products of all descendant categories
+   * - currency: Currency to convert prices to (or the Accept-Currency header)
+   * 
    * Response:
-   * - products: Array of up to 4 product objects from the specified category
+   * - products: Array of product objects from the specified category
    * - category: The category name that was searched
+   * - mode: Listing mode used
    * - count: Number of products returned
+   * - page, total: Current page and total matching products (page mode only)
+   * - limit, nextCursor: Page size and cursor for the next page (cursor mode only)
+   * - filters: Normalized filters applied to the listing
+   * - categoryMatches, randomProducts: Composition of the result (showcase mode only)
    */
   fastify.get('/category/:categoryName', {
+    config: {
+      scope: PERMISSIONS.CATALOG_READ
+    },
     schema: {
       params: {
         type: 'object',
@@ -879,6 +2045,33 @@ export default async function productRoutes(fastify, opts) {
         },
         required: ['categoryName']
       },
+      querystring: {
+        type: 'object',
+        properties: {
+          brand: filterQueryProperties.brand,
+          color: filterQueryProperties.color,
+          size: filterQueryProperties.size,
+          availability: filterQueryProperties.availability,
+          minPrice: filterQueryProperties.minPrice,
+          maxPrice: filterQueryProperties.maxPrice,
+          inStock: filterQueryProperties.inStock,
+          mode: {
+            type: 'string',
+            enum: ['list', 'showcase'],
+            description: 'Listing mode (default: list)'
+          },
+          sort: sortQueryProperty,
+          cursor: cursorQueryProperty,
+          currency: currencyQueryProperty,
+          page: querySchema.properties.page,
+          limit: querySchema.properties.limit,
+          includeDescendants: {
+            type: 'string',
+            enum: ['true', 'false'],
+            description: 'Include products of descendant categories when "true"'
+          }
+        }
+      },
       response: {
         200: {
           type: 'object',
@@ -892,8 +2085,12 @@ export default async function productRoutes(fastify, opts) {
                   index: { type: 'integer' },
                   name: { type: 'string' },
                   price: { type: 'number' },
+                  currency: { type: 'string' },
                   category: { type: 'string' },
                   brand: { type: 'string' },
+                  color: { type: 'string' },
+                  size: { type: 'string' },
+                  availability: { type: 'string' },
                   image_url: { type: 'string' },
                   stock: { type: 'integer' },
                   internal_id: { type: 'string' },
@@ -901,9 +2098,16 @@ export default async function productRoutes(fastify, opts) {
               }
             },
                          category: { type: 'string' },
+             mode: { type: 'string' },
+             sort: { type: 'string' },
              count: { type: 'integer' },
              categoryMatches: { type: 'integer' },
-             randomProducts: { type: 'integer' }
+             randomProducts: { type: 'integer' },
+             page: { type: 'integer' },
+             limit: { type: 'integer' },
+             total: { type: 'integer' },
+             nextCursor: { type: ['string', 'null'] },
+             filters: { type: 'object', additionalProperties: true }
            }
          },
         404: {
@@ -920,6 +2124,10 @@ export default async function productRoutes(fastify, opts) {
     
     try {
       const { categoryName } = request.params;
+      const sort = validateSortParam(request.query, 'index');
+      const mode = request.query.mode || 'list';
+      const includeDescendants = request.query.includeDescendants === 'true';
+      const descendantsSegment = includeDescendants ? ':descendants' : '';
       
       // Validate and sanitize category name
       const cleanCategoryName = categoryName.trim();
@@ -937,90 +2145,265 @@ export default async function productRoutes(fastify, opts) {
         return;
       }
 
+      const pricing = await resolvePricing(fastify, request, reply);
+
+      // Cache keys of every mode share the category prefix
+      const categoryKey = `products:category:${encodeURIComponent(cleanCategoryName.toLowerCase())}${descendantsSegment}`;
+
+      // The category comes from the path, so the category filter does not apply here
+      const { category: ignoredCategory, ...filterQuery } = request.query;
+      const filters = mode === 'list' ? normalizeProductFilters(filterQuery) : {};
+
+      // Cursor mode - keyset pagination over the category
+      if (mode === 'list' && request.query.cursor !== undefined) {
+        const { limit } = validatePaginationParams(request.query);
+        const cursor = decodeCursor(request.query.cursor, sort, cursorCurrency(sort, pricing));
+        const cacheKey = `${categoryKey}:cursor:start:limit:${limit}${sortCacheSegment(sort, 'index')}${filterCacheSegment(filters)}${pricingCacheSegment(pricing)}`;
+
+        fastify.log.info('Fetching products by category and cursor', {
+          categoryName: cleanCategoryName,
+          limit,
+          sort,
+          filters,
+          firstPage: !cursor,
+          userAgent: request.headers['user-agent'],
+          ip: request.ip
+        });
+
+        // Read the first page through the Redis cache (60 seconds, served stale while refreshing)
+        let categoryNames;
+        const { data, cacheStatus } = await cursorPageThrough(fastify, cursor, cacheKey, {
+          ttl: 60,
+          tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, filters), ...pricingTags(pricing), ...categoryNames.map(categoryTag), ...productTags(response.products)],
+          reply
+        }, async () => {
+          categoryNames = includeDescendants
+            ? await fetchCategoryNamesWithDescendants(fastify, cleanCategoryName)
+            : [cleanCategoryName.toLowerCase()];
+
+          const pageResult = await fetchProductsByCursor(fastify, {
+            columns: LISTING_COLUMNS,
+            filters,
+            baseConditions: ['LOWER(category) = ANY($1)'],
+            params: [categoryNames],
+            sort,
+            limit,
+            cursor,
+            pricing
+          }, 'fetching products by category and cursor');
+
+          return {
+            products: convertProducts(pageResult.rows, pricing),
+            category: cleanCategoryName,
+            mode,
+            sort,
+            count: pageResult.rows.length,
+            limit,
+            nextCursor: pageResult.nextCursor,
+            filters
+          };
+        });
+
+        reply.header('X-Cache', cacheStatus);
+        reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+        if (cacheStatus !== 'MISS' && cacheStatus !== 'BYPASS') {
+          fastify.log.info('Cache hit for products by category and cursor', { cacheKey, cacheStatus, categoryName: cleanCategoryName });
+          return data;
+        }
+
+        fastify.log.info('Products by category and cursor fetched successfully', {
+          categoryName: cleanCategoryName,
+          count: data.count,
+          hasMore: data.nextCursor !== null,
+          responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return data;
+      }
+
+      // Page mode - page/limit pagination over the category with total count
+      if (mode === 'list') {
+        const { page, limit } = validatePaginationParams(request.query);
+        const offset = (page - 1) * limit;
+        const cacheKey = `${categoryKey}:page:${page}:limit:${limit}${sortCacheSegment(sort, 'index')}${filterCacheSegment(filters)}${pricingCacheSegment(pricing)}`;
+
+        fastify.log.info('Fetching products by category', {
+          categoryName: cleanCategoryName,
+          page,
+          limit,
+          offset,
+          sort,
+          filters,
+          userAgent: request.headers['user-agent'],
+          ip: request.ip
+        });
+
+        // Read through the Redis cache (60 seconds, served stale while refreshing)
+        let categoryNames;
+        const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+          ttl: 60,
+          tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, filters), ...pricingTags(pricing), ...categoryNames.map(categoryTag), ...productTags(response.products)],
+          reply
+        }, async () => {
+          // Cache miss - fetch from database
+          fastify.log.info('Cache miss, fetching products by category from database', {
+            cacheKey,
+            categoryName: cleanCategoryName
+          });
+
+          categoryNames = includeDescendants
+            ? await fetchCategoryNamesWithDescendants(fastify, cleanCategoryName)
+            : [cleanCategoryName.toLowerCase()];
+
+          const params = [categoryNames];
+          const whereClause = buildFilterClause(filters, params, ['LOWER(category) = ANY($1)'], pricing);
+          const pageParams = [...params];
+          const orderBy = buildOrderByClause(sort, sortExpression(sort, pricing, pageParams));
+
+          const [result, countResult] = await Promise.all([
+            executeQuery(
+              fastify,
+              `SELECT ${LISTING_COLUMNS} FROM products ${whereClause} ${orderBy} LIMIT $${pageParams.length + 1} OFFSET $${pageParams.length + 2}`,
+              [...pageParams, limit, offset],
+              'fetching products by category'
+            ),
+            executeQuery(
+              fastify,
+              `SELECT COUNT(*) as total FROM products ${whereClause}`,
+              params,
+              'counting products by category'
+            )
+          ]);
+
+          return {
+            products: convertProducts(result.rows, pricing),
+            category: cleanCategoryName,
+            mode,
+            sort,
+            count: result.rows.length,
+            page,
+            limit,
+            total: parseInt(countResult.rows[0].total),
+            filters
+          };
+        });
+
+        reply.header('X-Cache', cacheStatus);
+        reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
+
+        if (cacheStatus !== 'MISS') {
+          fastify.log.info('Cache hit for products by category', { cacheKey, cacheStatus, categoryName: cleanCategoryName });
+          return data;
+        }
+
+        fastify.log.info('Products by category fetched successfully', {
+          categoryName: cleanCategoryName,
+          count: data.count,
+          total: data.total,
+          page,
+          limit,
+          responseTime: `${Date.now() - startTime}ms`
+        });
+
+        return data;
+      }
+
+      // Showcase mode - up to 5 category products padded with random products
       fastify.log.info('Fetching products by category', {
         categoryName: cleanCategoryName,
+        mode,
         userAgent: request.headers['user-agent'],
         ip: request.ip
       });
 
       // Generate cache key
-      const cacheKey = `products:category:${encodeURIComponent(cleanCategoryName.toLowerCase())}:limit:5`;
+      const cacheKey = `${categoryKey}:limit:5${sortCacheSegment(sort, 'index')}${pricingCacheSegment(pricing)}`;
       
-      // Try to get data from Redis cache first
-      try {
-        const cachedData = await fastify.redis.get(cacheKey);
-        if (cachedData) {
-          fastify.log.info('Cache hit for products by category', { cacheKey, categoryName: cleanCategoryName });
-          const result = JSON.parse(cachedData);
-          
-          reply.header('X-Cache', 'HIT');
-          reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
-          
-          return result;
-        }
-      } catch (cacheError) {
-        fastify.log.warn('Redis cache error, proceeding with database query', {
-          error: cacheError.message,
-          cacheKey
+      // Read through the Redis cache (60 seconds, served stale while refreshing)
+      let categoryNames;
+      const { data, cacheStatus } = await cacheThrough(fastify, cacheKey, {
+        ttl: 60,
+        tags: response => [CACHE_TAGS.LISTING, ...stockListingTags(sort, {}), ...pricingTags(pricing), ...categoryNames.map(categoryTag), ...productTags(response.products)],
+        reply
+      }, async () => {
+        // Cache miss - fetch from database
+        fastify.log.info('Cache miss, fetching products by category from database', { 
+          cacheKey, 
+          categoryName: cleanCategoryName 
         });
-      }
-
-      // Cache miss - fetch from database
-      fastify.log.info('Cache miss, fetching products by category from database', { 
-        cacheKey, 
-        categoryName: cleanCategoryName 
-      });
       
-      // Query products by category (case-insensitive) limited to 4 items
-      const result = await executeQuery(
-        fastify,
-        'SELECT id, index, name, category, brand, price, image_url, stock, internal_id FROM products WHERE LOWER(category) = LOWER($1) ORDER BY index LIMIT 5',
-        [cleanCategoryName],
-        'fetching products by category'
-      );
+        categoryNames = includeDescendants
+          ? await fetchCategoryNamesWithDescendants(fastify, cleanCategoryName)
+          : [cleanCategoryName.toLowerCase()];
+
+        // Query products by category (case-insensitive) limited to 4 items
+        const params = [categoryNames];
+        const orderBy = buildOrderByClause(sort, sortExpression(sort, pricing, params));
+        const result = await executeQuery(
+          fastify,
+          `SELECT id, index, name, category, brand, price, currency, image_url, stock, internal_id FROM products WHERE LOWER(category) = ANY($1) ${orderBy} LIMIT 5`,
+          params,
+          'fetching products by category'
+        );
 
-      let products = result.rows;
-      let needsRandomProducts = products.length < 5;
+        let products = result.rows;
+        let needsRandomProducts = products.length < 5;
 
-      // If we found fewer than 5 products, get random products to fill up to 5
-      if (needsRandomProducts) {
-        const productsNeeded = 5 - products.length;
+        // If we found fewer than 5 products, get random products to fill up to 5
+        if (needsRandomProducts) {
+          const productsNeeded = 5 - products.length;
         
-        fastify.log.info('Found fewer than 5 products in category, fetching random products', {
-          categoryName: cleanCategoryName,
-          foundInCategory: products.length,
-          randomProductsNeeded: productsNeeded
-        });
+          fastify.log.info('Found fewer than 5 products in category, fetching random products', {
+            categoryName: cleanCategoryName,
+            foundInCategory: products.length,
+            randomProductsNeeded: productsNeeded
+          });
 
-        // Get random products excluding the ones we already have and the category we searched
-        const excludeIds = products.map(p => p.id);
-        const excludeClause = excludeIds.length > 0 ? 'AND id != ALL($2)' : '';
-        const queryParams = excludeIds.length > 0 ? [cleanCategoryName, excludeIds, productsNeeded] : [cleanCategoryName, productsNeeded];
+          // Get random products excluding the ones we already have and the category we searched
+          const excludeIds = products.map(p => p.id);
+          const excludeClause = excludeIds.length > 0 ? 'AND id != ALL($2)' : '';
+          const queryParams = excludeIds.length > 0 ? [categoryNames, excludeIds, productsNeeded] : [categoryNames, productsNeeded];
         
-        const randomResult = await executeQuery(
-          fastify,
-          `SELECT id, index, name, category, brand, price, image_url, stock, internal_id 
-           FROM products 
-           WHERE LOWER(category) != LOWER($1) ${excludeClause}
-           ORDER BY RANDOM() 
-           LIMIT $${excludeIds.length > 0 ? '3' : '2'}`,
-          queryParams,
-          'fetching random products to supplement category results'
-        );
+          const randomResult = await executeQuery(
+            fastify,
+            `SELECT id, index, name, category, brand, price, currency, image_url, stock, internal_id 
+             FROM products 
+             WHERE LOWER(category) != ALL($1) ${excludeClause}
+             ORDER BY RANDOM() 
+             LIMIT $${excludeIds.length > 0 ? '3' : '2'}`,
+            queryParams,
+            'fetching random products to supplement category results'
+          );
+
+          // Combine category products with random products
+          products = [...products, ...randomResult.rows];
+
+          fastify.log.info('Added random products to supplement category results', {
+            categoryName: cleanCategoryName,
+            categoryProducts: result.rows.length,
+            randomProducts: randomResult.rows.length,
+            totalProducts: products.length
+          });
+        }
 
-        // Combine category products with random products
-        products = [...products, ...randomResult.rows];
+        // If still no products found (edge case where database is empty), nothing is cached
+        if (!products.length) {
+          return null;
+        }
 
-        fastify.log.info('Added random products to supplement category results', {
-          categoryName: cleanCategoryName,
-          categoryProducts: result.rows.length,
-          randomProducts: randomResult.rows.length,
-          totalProducts: products.length
-        });
-      }
+        return {
+          products: convertProducts(products, pricing),
+          category: cleanCategoryName,
+          mode,
+          sort,
+          count: products.length,
+          categoryMatches: result.rows.length,
+          randomProducts: needsRandomProducts ? products.length - result.rows.length : 0
+        };
+      });
 
-      // If still no products found (edge case where database is empty)
-      if (!products.length) {
+      if (!data) {
         fastify.log.info('No products found in database', { categoryName: cleanCategoryName });
         
         reply.code(404).send({
@@ -1030,35 +2413,21 @@ export default async function productRoutes(fastify, opts) {
         return;
       }
 
-      const response = {
-        products: products,
-        category: cleanCategoryName,
-        count: products.length,
-        categoryMatches: result.rows.length,
-        randomProducts: needsRandomProducts ? products.length - result.rows.length : 0
-      };
+      reply.header('X-Cache', cacheStatus);
+      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
 
-      // Cache the result in Redis for 60 seconds
-      try {
-        await fastify.redis.set(cacheKey, JSON.stringify(response), 'EX', 60);
-        fastify.log.info('Cached products by category data', { cacheKey, ttl: 60 });
-      } catch (cacheError) {
-        fastify.log.warn('Failed to cache products by category data', {
-          error: cacheError.message,
-          cacheKey
-        });
+      if (cacheStatus !== 'MISS') {
+        fastify.log.info('Cache hit for products by category', { cacheKey, cacheStatus, categoryName: cleanCategoryName });
+        return data;
       }
-
-      reply.header('X-Cache', 'MISS');
-      reply.header('X-Response-Time', `${Date.now() - startTime}ms`);
       
       fastify.log.info('Products by category fetched successfully', {
         categoryName: cleanCategoryName,
-        count: result.rows.length,
+        count: data.categoryMatches,
         responseTime: `${Date.now() - startTime}ms`
       });
 
-      return response;
+      return data;
 
     } catch (error) {
       fastify.log.error('Error fetching products by category:', {
@@ -1069,11 +2438,25 @@ export default async function productRoutes(fastify, opts) {
         ip: request.ip
       });
 
-      reply.code(500).send({
-        error: 'Internal Server Error',
-        message: 'Failed to fetch products by category',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      // Determine appropriate error response
+      if (error.message.includes('Sort option') ||
+          error.message.includes('Cursor') ||
+          error.message.includes('Page number must be') ||
+          error.message.includes('Limit must be') ||
+          error.message.includes('Limit cannot exceed') ||
+          error.message.includes('Price range is invalid') ||
+          error.message.includes('Unsupported currency')) {
+        reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+      } else {
+        reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to fetch products by category',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
     }
   });
 
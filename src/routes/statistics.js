@@ -1,23 +1,63 @@
+import { config } from '../config/app.js';
+import { resolvePricing } from '../utils/currency.js';
 import { executeQuery } from '../utils/database.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 export default async function statisticsRoutes(fastify, opts) {
   // --- Product Statistics CSV Download Endpoint ---
-  fastify.get('/download', async (request, reply) => {
+  // Prices are reported as stored, or converted to `currency` (query
+  // parameter or Accept-Currency header) when one is requested.
+  // Public; partner API keys need the stats:read scope.
+  fastify.get('/download', {
+    config: {
+      scope: PERMISSIONS.STATS_READ
+    },
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          currency: {
+            type: 'string',
+            pattern: '^[A-Za-z]{3}$',
+            description: 'Currency to report prices in'
+          }
+        }
+      }
+    }
+  }, async (request, reply) => {
     try {
+      const pricing = await resolvePricing(fastify, request, reply);
+
+      // Converted prices come from a CTE joining both exchange rates, rounded to
+      // the currency's minor units; products priced in a currency without a
+      // rate are left out of the price metrics
+      const priceTable = pricing ? 'converted_prices' : 'products';
+      const decimals = pricing ? '$3::int' : '2';
+      const params = pricing
+        ? [pricing.currency, config.currency.base, pricing.rates[pricing.currency].minorUnits]
+        : [];
+      const convertedPrices = pricing ? `
+        WITH converted_prices AS (
+          SELECT ROUND(p.price * target.rate / source.rate, $3::int) AS price
+          FROM products p
+          JOIN exchange_rates source ON source.currency = COALESCE(p.currency, $2)
+          JOIN exchange_rates target ON target.currency = $1
+        )` : '';
+
       // Calculate all statistics in a single query for efficiency
-      const statsQuery = `
+      const statsQuery = `${convertedPrices}
         SELECT
           (SELECT COUNT(*) FROM products) AS total_products,
           (SELECT COUNT(DISTINCT brand) FROM products) AS unique_brands,
           (SELECT COUNT(DISTINCT category) FROM products) AS unique_categories,
-          (SELECT ROUND(AVG(price)::numeric, 2) FROM products) AS average_price,
-          (SELECT MIN(price) FROM products) AS price_min,
-          (SELECT MAX(price) FROM products) AS price_max,
+          (SELECT ROUND(AVG(price)::numeric, ${decimals}) FROM ${priceTable}) AS average_price,
+          (SELECT MIN(price) FROM ${priceTable}) AS price_min,
+          (SELECT MAX(price) FROM ${priceTable}) AS price_max,
           (SELECT COUNT(*) FROM products WHERE LOWER(availability) = 'in_stock') AS in_stock_count,
           (SELECT COUNT(*) FROM products WHERE LOWER(availability) = 'limited_stock') AS limited_stock_count,
           (SELECT COUNT(*) FROM products WHERE LOWER(availability) = 'out_of_stock') AS out_of_stock_count
       `;
-      const result = await executeQuery(fastify, statsQuery, [], 'fetching product statistics');
+      const result = await executeQuery(fastify, statsQuery, params, 'fetching product statistics');
       const stats = result.rows[0];
 
       // Compose CSV content
@@ -26,6 +66,7 @@ export default async function statisticsRoutes(fastify, opts) {
         `total_products,${stats.total_products}`,
         `unique_brands,${stats.unique_brands}`,
         `unique_categories,${stats.unique_categories}`,
+        ...(pricing ? [`currency,${pricing.currency}`] : []),
         `average_price,${stats.average_price}`,
         `price_min,${stats.price_min}`,
         `price_max,${stats.price_max}`,
@@ -34,10 +75,11 @@ export default async function statisticsRoutes(fastify, opts) {
         `out_of_stock_count,${stats.out_of_stock_count}`
       ];
       const csvContent = csvRows.join('\n');
+      const filename = pricing ? `product_statistics_${pricing.currency}.csv` : 'product_statistics.csv';
 
       reply
         .header('Content-Type', 'text/csv')
-        .header('Content-Disposition', 'attachment; filename="product_statistics.csv"')
+        .header('Content-Disposition', `attachment; filename="${filename}"`)
         .send(csvContent);
     } catch (error) {
       fastify.log.error('Error generating product statistics CSV:', {
@@ -46,6 +88,15 @@ export default async function statisticsRoutes(fastify, opts) {
         userAgent: request.headers['user-agent'],
         ip: request.ip
       });
+
+      if (error.message.includes('Unsupported currency')) {
+        reply.code(400).send({
+          error: 'Bad Request',
+          message: error.message
+        });
+        return;
+      }
+
       reply.code(500).send({
         
         error: 'Internal Server Error',
@@ -11,23 +11,39 @@
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import compress from '@fastify/compress';
+import multipart from '@fastify/multipart';
 import dotenv from 'dotenv';
 import fastifyEnv from '@fastify/env';
 import postgres from '@fastify/postgres';
+import { config } from './config/app.js';
 import redisPlugin from './plugins/redis.js';
+import localCachePlugin from './plugins/localCache.js';
+import mediaPlugin from './plugins/media.js';
+import authPlugin from './plugins/auth.js';
 import productRoutes from './routes/products.js';
+import productImageRoutes from './routes/productImages.js';
 import categoryRoutes from './routes/categories.js';
+import authRoutes from './routes/auth.js';
+import cartRoutes from './routes/carts.js';
+import orderRoutes from './routes/orders.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import cacheRoutes from './routes/cache.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
 import healthRoutes from './routes/health.js';
+import mediaRoutes from './routes/media.js';
 import statisticsRoutes from './routes/statistics.js';
 import { 
   requestLogger, 
   responseLogger, 
   securityHeaders, 
+  httpCaching,
+  encodedEntityTags,
   rateLimiter, 
   requestTimer, 
   errorTracker, 
   requestValidator,
-  requestQueueManager
+  requestQueueManager,
+  authorizeRoute
 } from './utils/middleware.js';
 
 // Load environment variables from .env file
@@ -39,7 +55,7 @@ dotenv.config();
  */
 const schema = {
   type: 'object',
-  required: ['PORT', 'DB_CONNECTION_STRING', 'REDIS_URL'],
+  required: ['PORT', 'DB_CONNECTION_STRING', 'REDIS_URL', 'JWT_SECRET'],
   properties: {
     PORT: { 
       type: 'string',
@@ -52,6 +68,11 @@ const schema = {
     REDIS_URL: { 
       type: 'string',
       description: 'Redis connection URL'
+    },
+    JWT_SECRET: {
+      type: 'string',
+      minLength: 32,
+      description: 'Secret used to sign access tokens'
     }
   }
 };
@@ -88,6 +109,20 @@ async function startServer() {
       threshold: 1024 // Only compress responses larger than 1KB
     });
 
+    // Per-encoding ETags; added to each route after @fastify/compress's own onSend hook
+    const tagEncodedResponses = encodedEntityTags(app);
+    app.addHook('onRoute', (routeOptions) => {
+      routeOptions.onSend = [routeOptions.onSend ?? []].flat().concat(tagEncodedResponses);
+    });
+
+    // Register multipart plugin for image uploads (one file per request)
+    await app.register(multipart, {
+      limits: {
+        fileSize: config.media.maxUploadBytes,
+        files: 1
+      }
+    });
+
     // Register PostgreSQL plugin with connection string
     await app.register(postgres, { 
       connectionString: app.config.DB_CONNECTION_STRING,
@@ -106,12 +141,45 @@ async function startServer() {
     // Register Redis plugin for caching
     await app.register(redisPlugin);
 
+    // Register in-process cache in front of Redis (provides fastify.localCache)
+    await app.register(localCachePlugin);
+
+    // Register auth plugin for JWT sessions (provides fastify.authenticate)
+    await app.register(authPlugin);
+
+    // Register media storage and the image worker (provides fastify.storage)
+    await app.register(mediaPlugin);
+
     // Register product routes with API prefix
     await app.register(productRoutes, { prefix: '/api/products' });
 
+    // Register product image gallery routes under the product prefix
+    await app.register(productImageRoutes, { prefix: '/api/products' });
+
     // Register category routes with API prefix
     await app.register(categoryRoutes, { prefix: '/api/categories' });
 
+    // Register customer account routes with API prefix
+    await app.register(authRoutes, { prefix: '/api/auth' });
+
+    // Register cart routes with API prefix
+    await app.register(cartRoutes, { prefix: '/api/carts' });
+
+    // Register order routes with API prefix
+    await app.register(orderRoutes, { prefix: '/api/orders' });
+
+    // Register partner API key management routes with API prefix
+    await app.register(apiKeyRoutes, { prefix: '/api/api-keys' });
+
+    // Register cache administration routes with API prefix
+    await app.register(cacheRoutes, { prefix: '/api/cache' });
+
+    // Register currency exchange rate routes with API prefix
+    await app.register(exchangeRateRoutes, { prefix: '/api/exchange-rates' });
+
+    // Register uploaded media routes
+    await app.register(mediaRoutes, { prefix: '/media' });
+
     // Register health check routes
     await app.register(healthRoutes, { prefix: '/health' });
 
@@ -143,23 +211,34 @@ async function startServer() {
     app.addHook('onRequest', requestLogger(app));
     app.addHook('onRequest', securityHeaders(app));
     
-    // Rate limiting - adjusted for load testing
-    // During normal operation: 100 requests per 15 minutes
-    // During load testing: 10000 requests per 15 minutes (or disable)
-    // const rateLimitMax = process.env.NODE_ENV === 'test' || process.env.LOAD_TESTING === 'true' 
-    //   ? 10000 
-    //   : 10000;
-    
-    // app.addHook('onRequest', rateLimiter(app, {
-    //   windowMs: 15 * 60 * 1000, // 15 minutes
-    //   maxRequests: rateLimitMax
-    // }));
-    
     app.addHook('onRequest', requestTimer(app));
     app.addHook('onRequest', requestValidator(app));
+    app.addHook('onRequest', authorizeRoute(app));
+
+    // Rate limiting per API key, customer or IP (after authorizeRoute, which identifies the caller)
+    if (config.rateLimit.enabled) {
+      app.addHook('onRequest', rateLimiter(app, {
+        windowMs: config.rateLimit.windowMs,
+        maxRequests: config.rateLimit.maxRequests,
+        routes: config.rateLimit.routes,
+        allowlist: config.rateLimit.allowlist
+      }));
+    }
+
+    // Per-key quota for partner API keys (requests without a key are skipped)
+    app.addHook('onRequest', rateLimiter(app, {
+      name: 'quota',
+      windowMs: config.apiKeys.quotaWindowMs,
+      keyGenerator: (request) => request.apiKey ? `apikey:${request.apiKey.id}` : null,
+      maxRequests: (request) => request.apiKey.quota
+    }));
+
     app.addHook('onRequest', requestQueueManager(app));
     
     app.addHook('onResponse', responseLogger(app));
+
+    // Cache-Control, ETags and 304 Not Modified for catalog routes
+    app.addHook('onSend', httpCaching(app, { routes: config.httpCache.routes }));
     
     app.addHook('onError', errorTracker(app));
 
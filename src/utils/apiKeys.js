@@ -0,0 +1,124 @@
+/**
+ * Partner API key utilities
+ *
+ * API keys are random secrets shown once at creation or rotation. Only a
+ * SHA-256 digest is stored in Postgres; lookups are cached briefly in Redis
+ * and purged when a key is rotated or revoked.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { config } from '../config/app.js';
+import { executeQuery } from './database.js';
+
+/**
+ * Prefix identifying API keys in logs and secret scanners
+ */
+const API_KEY_PREFIX = 'tjk_';
+
+/**
+ * Columns returned for an API key row (never the hash)
+ */
+export const API_KEY_COLUMNS = `id, name, key_prefix AS "prefix", scopes, quota, created_by AS "createdBy",
+  created_at AS "createdAt", rotated_at AS "rotatedAt", last_used_at AS "lastUsedAt", revoked_at AS "revokedAt"`;
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys carry 256 bits of entropy, so a fast digest is sufficient.
+ * @param {string} apiKey - Plain text API key
+ * @returns {string} Hex digest
+ */
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} { apiKey, prefix, hash }
+ */
+export function generateApiKey() {
+  const apiKey = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+
+  return {
+    apiKey,
+    prefix: apiKey.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashApiKey(apiKey)
+  };
+}
+
+/**
+ * Build the Redis key caching the lookup of an API key
+ * @param {string} hash - API key digest
+ * @returns {string} Redis key
+ */
+export function apiKeyCacheKey(hash) {
+  return `apikey:${hash}`;
+}
+
+/**
+ * Resolve an API key to its active key record
+ * Unknown and revoked keys are cached too (as null) so a flood of bad keys
+ * does not reach Postgres.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} apiKey - Plain text API key
+ * @returns {Promise<Object|null>} { id, name, scopes, quota } or null if invalid or revoked
+ */
+export async function resolveApiKey(fastify, apiKey) {
+  const hash = hashApiKey(apiKey);
+  const cacheKey = apiKeyCacheKey(hash);
+
+  try {
+    const cached = await fastify.redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (cacheError) {
+    fastify.log.warn('Redis cache error for API key lookup, proceeding with database query', {
+      error: cacheError.message
+    });
+  }
+
+  const result = await executeQuery(
+    fastify,
+    'SELECT id, name, scopes, quota FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hash],
+    'resolving API key'
+  );
+  const key = result.rows[0] || null;
+
+  try {
+    await fastify.redis.set(cacheKey, JSON.stringify(key), 'EX', config.apiKeys.cacheTtl);
+  } catch (cacheError) {
+    fastify.log.warn('Failed to cache API key lookup', { error: cacheError.message });
+  }
+
+  return key;
+}
+
+/**
+ * Record that an API key was used
+ * Writes are throttled to one per key per interval through a Redis marker,
+ * so busy keys do not turn every request into a database write.
+ * Failures are logged and never affect the request.
+ * @param {Object} fastify - Fastify instance
+ * @param {number} keyId - API key ID
+ */
+export async function touchApiKey(fastify, keyId) {
+  try {
+    const marked = await fastify.redis.set(
+      `apikey:used:${keyId}`, '1', 'EX', config.apiKeys.lastUsedInterval, 'NX'
+    );
+    if (marked === 'OK') {
+      await executeQuery(
+        fastify,
+        'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [keyId],
+        'tracking API key usage'
+      );
+    }
+  } catch (error) {
+    fastify.log.warn('Failed to track API key usage', { error: error.message, keyId });
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Authentication utilities
+ *
+ * Password hashing with scrypt and session token management. Access tokens
+ * are short-lived signed JWTs; refresh tokens are random opaque strings
+ * stored (hashed) in Redis so they can be rotated and revoked.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { config } from '../config/app.js';
+import { AuthenticationError, CacheError } from './errorHandler.js';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * Hash a password with scrypt and a random salt
+ * The result encodes the scrypt parameters so they can be raised later
+ * without invalidating existing hashes.
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash (scrypt$N$r$p$salt$hash)
+ */
+export async function hashPassword(password) {
+  const { keyLength, cost, blockSize, parallelization } = config.auth.scrypt;
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, keyLength, {
+    N: cost,
+    r: blockSize,
+    p: parallelization,
+    maxmem: 256 * cost * blockSize
+  });
+
+  return ['scrypt', cost, blockSize, parallelization, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded scrypt hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Encoded hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export async function verifyPassword(password, encoded) {
+  const [algorithm, cost, blockSize, parallelization, salt, hash] = encoded.split('$');
+  if (algorithm !== 'scrypt' || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(cost),
+    r: parseInt(blockSize),
+    p: parseInt(parallelization),
+    maxmem: 256 * parseInt(cost) * parseInt(blockSize)
+  });
+
+  return timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build the Redis key of a refresh token
+ * Only a digest of the token is stored, so a Redis dump cannot be replayed.
+ * @param {string} token - Refresh token
+ * @returns {string} Redis key
+ */
+function refreshTokenKey(token) {
+  return `auth:refresh:${createHash('sha256').update(token).digest('hex')}`;
+}
+
+/**
+ * Build the Redis key of the set of a customer's refresh tokens
+ * @param {number} customerId - Customer ID
+ * @returns {string} Redis key
+ */
+function customerTokensKey(customerId) {
+  return `auth:customer:${customerId}:refresh`;
+}
+
+/**
+ * Issue an access token and a new refresh token for a customer
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} customer - Customer row (id, email, role)
+ * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn }
+ * @throws {CacheError} If the refresh token cannot be stored
+ */
+export async function issueTokens(fastify, customer) {
+  const refreshToken = randomBytes(32).toString('base64url');
+  const key = refreshTokenKey(refreshToken);
+  const ttl = config.auth.refreshTokenTtl;
+
+  try {
+    await fastify.redis
+      .multi()
+      .set(key, String(customer.id), 'EX', ttl)
+      .sadd(customerTokensKey(customer.id), key)
+      .expire(customerTokensKey(customer.id), ttl)
+      .exec();
+  } catch (cacheError) {
+    throw new CacheError('Failed to store refresh token', cacheError);
+  }
+
+  const accessToken = fastify.jwt.sign(
+    { customerId: customer.id, email: customer.email, role: customer.role },
+    { expiresIn: config.auth.accessTokenTtl }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: config.auth.accessTokenTtl
+  };
+}
+
+/**
+ * Consume a refresh token, returning the customer it was issued to
+ * The token is deleted atomically, so each refresh token can be used once.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<number>} Customer ID
+ * @throws {AuthenticationError} If the token is unknown, expired or revoked
+ */
+export async function consumeRefreshToken(fastify, refreshToken) {
+  const key = refreshTokenKey(refreshToken);
+  let customerId;
+
+  try {
+    customerId = await fastify.redis.getdel(key);
+  } catch (cacheError) {
+    throw new CacheError('Failed to read refresh token', cacheError);
+  }
+
+  if (!customerId) {
+    throw new AuthenticationError('Refresh token is invalid or has expired');
+  }
+
+  await fastify.redis.srem(customerTokensKey(customerId), key).catch(() => {});
+
+  return parseInt(customerId);
+}
+
+/**
+ * Revoke a single refresh token
+ * @param {Object} fastify - Fastify instance
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Whether the token existed
+ */
+export async function revokeRefreshToken(fastify, refreshToken) {
+  try {
+    await consumeRefreshToken(fastify, refreshToken);
+    return true;
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Revoke every refresh token of a customer
+ * @param {Object} fastify - Fastify instance
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeAllRefreshTokens(fastify, customerId) {
+  try {
+    const setKey = customerTokensKey(customerId);
+    const keys = await fastify.redis.smembers(setKey);
+    if (keys.length > 0) {
+      await fastify.redis.unlink(...keys);
+    }
+    await fastify.redis.unlink(setKey);
+    return keys.length;
+  } catch (cacheError) {
+    throw new CacheError('Failed to revoke refresh tokens', cacheError);
+  }
+}
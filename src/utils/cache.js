@@ -0,0 +1,822 @@
+/**
+ * Cache utility functions
+ *
+ * Shared Redis cache operations for use across route files.
+ *
+ * Cached entries carry tags naming the data they contain, e.g.
+ * `product:42`, `category:audio` or `listing`. Each tag is a Redis set of
+ * the keys tagged with it, so a write can purge every entry for a tag
+ * without scanning the keyspace:
+ *
+ *   const { data, cacheStatus } = await cacheThrough(fastify, key, {
+ *     ttl: 60,
+ *     tags: response => [CACHE_TAGS.LISTING, ...productTags(response.products)]
+ *   }, () => loadFromDatabase());
+ *
+ *   await purgeCacheTags(fastify, [productTag(42)], 'product 42 updated');
+ *
+ * cacheThrough also protects the database from stampedes when a popular
+ * entry expires, and with a `reply` stores and serves the final serialized,
+ * pre-compressed response body (see its documentation).
+ *
+ * When the local cache plugin is registered, fresh entries are also kept in
+ * an in-process LRU (`fastify.localCache`, the L1) in front of Redis (the
+ * L2). Purges are published on a Redis channel so every instance evicts its
+ * own copies.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { setTimeout } from 'timers/promises';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { config } from '../config/app.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+/**
+ * Tags shared by many entries
+ */
+export const CACHE_TAGS = {
+  // Product listings, searches and counts: any change to the product set
+  LISTING: 'listing',
+  // Listings sorted or filtered by stock level: any stock change
+  STOCK_LISTING: 'stock-listing',
+  // Category list and tree, including their product counts
+  CATEGORIES: 'categories',
+  // Exchange rates and every response with converted prices
+  EXCHANGE_RATES: 'exchange-rates'
+};
+
+/**
+ * Key namespaces holding cached responses
+ * Pattern purges are restricted to these so they cannot touch carts,
+ * sessions or rate limit counters.
+ */
+export const CACHE_KEY_NAMESPACES = ['products:', 'categories:', 'exchange-rates:'];
+
+/**
+ * Store an entry hash and add it to its tag sets (atomic in Redis)
+ * A tag set lives as long as its longest-lived entry.
+ *
+ * KEYS[1] - entry key, KEYS[2..n] - tag set keys
+ * ARGV[1] - TTL (seconds), ARGV[2..n] - hash fields and values
+ */
+const SET_TAGGED_SCRIPT = `
+local ttl = tonumber(ARGV[1])
+redis.call('DEL', KEYS[1])
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+redis.call('EXPIRE', KEYS[1], ttl)
+for i = 2, #KEYS do
+  redis.call('SADD', KEYS[i], KEYS[1])
+  if redis.call('TTL', KEYS[i]) < ttl then
+    redis.call('EXPIRE', KEYS[i], ttl)
+  end
+end
+return #KEYS - 1
+`;
+
+/**
+ * Release a lock only if it still holds the caller's token
+ *
+ * KEYS[1] - lock key, ARGV[1] - token
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Encodings stored for cached responses, most preferred first
+ */
+const ENCODING_PREFERENCE = ['br', 'gzip'];
+
+/**
+ * Pending cache rebuilds in this process, keyed by cache key
+ */
+const inflight = new Map();
+
+/**
+ * Build the tag of entries containing a product
+ * @param {number} index - Product index
+ * @returns {string} Tag
+ */
+export function productTag(index) {
+  return `product:${index}`;
+}
+
+/**
+ * Build the tag of entries scoped to a category
+ * @param {string} name - Category name (case-insensitive)
+ * @returns {string} Tag
+ */
+export function categoryTag(name) {
+  return `category:${name.toLowerCase()}`;
+}
+
+/**
+ * Build the tags of every product in a list
+ * @param {Array<Object>} products - Product rows with an index
+ * @returns {Array<string>} Tags
+ */
+export function productTags(products) {
+  return products.map(product => productTag(product.index));
+}
+
+/**
+ * Build the Redis key of a tag set
+ * @param {string} tag - Tag
+ * @returns {string} Redis key
+ */
+function tagKey(tag) {
+  return `cache:tag:${tag}`;
+}
+
+/**
+ * Convert a Redis glob-style pattern to a regular expression
+ * @param {string} pattern - Pattern using * and ?
+ * @returns {RegExp} Equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read a fresh entry from the local cache
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry, or null if absent or no longer fresh
+ */
+function readLocalEntry(fastify, key) {
+  const entry = fastify.localCache?.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() >= entry.localUntil) {
+    fastify.localCache.remove(key);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Copy a fresh Redis entry into the local cache
+ * Stale entries are left to Redis so the stale-while-revalidate logic
+ * still runs. Entries are kept for at most `cache.l1.ttl` seconds, which
+ * bounds how long a missed invalidation message can leave them behind.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry (see readEntry)
+ * @param {number} generation - Local cache generation before the entry was read or loaded
+ */
+function writeLocalEntry(fastify, key, entry, generation) {
+  const { localCache } = fastify;
+
+  // An invalidation since the read may have purged this entry already
+  if (!localCache || localCache.generation !== generation || Date.now() >= entry.freshUntil) {
+    return;
+  }
+
+  localCache.set(key, {
+    ...entry,
+    localUntil: Math.min(entry.freshUntil, Date.now() + config.cache.l1.ttl * 1000)
+  }, entry.size);
+}
+
+/**
+ * Evict local cache entries by exact key, by tag and by pattern
+ * Called for local purges and for invalidation messages from other instances.
+ * @param {Object} localCache - LruCache instance
+ * @param {Object} targets - Keys, tags and patterns (see purgeCache)
+ * @returns {number} Number of entries evicted
+ */
+export function evictLocalEntries(localCache, { keys = [], tags = [], patterns = [] }) {
+  const keySet = new Set(keys);
+  const tagSet = new Set(tags);
+  const patternRegExps = patterns.map(globToRegExp);
+
+  return localCache.deleteWhere((entry, key) =>
+    keySet.has(key) ||
+    entry.tags.some(tag => tagSet.has(tag)) ||
+    patternRegExps.some(regExp => regExp.test(key))
+  );
+}
+
+/**
+ * Read a cache entry from Redis
+ * Cache failures are logged and treated as a miss.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { freshUntil, tags, etag, lastModified, bodies, size }, or null on a miss
+ */
+async function readEntry(fastify, key) {
+  try {
+    const { meta, ...bodies } = await fastify.redis.hgetallBuffer(key);
+    if (!meta) {
+      return null;
+    }
+
+    return {
+      ...JSON.parse(meta.toString()),
+      bodies,
+      size: Object.values(bodies).reduce((size, body) => size + body.length, meta.length)
+    };
+  } catch (cacheError) {
+    fastify.log.warn('Redis cache error, proceeding with database query', {
+      error: cacheError.message,
+      cacheKey: key
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the value of an entry, parsing its body once
+ * @param {Object} entry - Entry (see readEntry)
+ * @returns {*} Cached value
+ */
+function entryValue(entry) {
+  entry.value ??= JSON.parse(entry.bodies.identity.toString());
+  return entry.value;
+}
+
+/**
+ * Serialize a value into an entry
+ * The body is serialized once (with the route serializer for responses)
+ * and, for responses, compressed once per supported encoding.
+ * @param {*} value - Value to cache
+ * @param {Object} options - Cache options (see cacheThrough)
+ * @returns {Promise<Object>} Entry (see readEntry)
+ */
+async function buildEntry(value, { ttl, tags, serialize = JSON.stringify, compress = false }) {
+  const identity = Buffer.from(serialize(value));
+  const bodies = { identity };
+
+  if (compress) {
+    [bodies.br, bodies.gzip] = await Promise.all([
+      brotliCompress(identity, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: config.cache.compression.brotliQuality }
+      }),
+      gzip(identity)
+    ]);
+  }
+
+  const meta = {
+    freshUntil: Date.now() + ttl * 1000,
+    tags: [...new Set(typeof tags === 'function' ? tags(value) : tags)],
+    etag: entityTag(identity),
+    // HTTP dates have second precision
+    lastModified: Math.floor(Date.now() / 1000) * 1000
+  };
+
+  return {
+    ...meta,
+    bodies,
+    size: Object.values(bodies).reduce((size, body) => size + body.length, JSON.stringify(meta).length)
+  };
+}
+
+/**
+ * Cache a value under a key and its tags
+ * The entry is fresh for `ttl` seconds and kept for `staleTtl` seconds more
+ * so it can be served stale while it is refreshed.
+ * Cache failures are logged and never fail the request.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {Object} options - Cache options (see cacheThrough)
+ * @param {number} generation - Local cache generation before the value was loaded
+ * @returns {Promise<Object|null>} Cached entry, or null if it could not be cached
+ */
+async function writeEntry(fastify, key, value, options, generation) {
+  try {
+    const entry = await buildEntry(value, options);
+    const { freshUntil, tags, etag, lastModified, bodies } = entry;
+    const tagKeys = tags.map(tagKey);
+
+    if (!fastify.redis.setTaggedEntry) {
+      fastify.redis.defineCommand('setTaggedEntry', { lua: SET_TAGGED_SCRIPT });
+    }
+
+    await fastify.redis.setTaggedEntry(
+      1 + tagKeys.length,
+      key,
+      ...tagKeys,
+      options.ttl + options.staleTtl,
+      'meta',
+      JSON.stringify({ freshUntil, tags, etag, lastModified }),
+      ...Object.entries(bodies).flat()
+    );
+    writeLocalEntry(fastify, key, entry, generation);
+    fastify.log.debug('Cached response', {
+      cacheKey: key,
+      ttl: options.ttl,
+      staleTtl: options.staleTtl,
+      tags: tagKeys.length,
+      encodings: Object.keys(bodies)
+    });
+    return entry;
+  } catch (cacheError) {
+    fastify.log.warn('Failed to cache response', {
+      error: cacheError.message,
+      cacheKey: key
+    });
+    return null;
+  }
+}
+
+/**
+ * Build a strong entity tag for a response body
+ * The tag identifies the uncompressed body; compressed representations of
+ * it are tagged with encodedEntityTag.
+ * @param {string|Buffer} body - Uncompressed response body
+ * @returns {string} Quoted entity tag
+ */
+export function entityTag(body) {
+  // Hex, so the "-<encoding>" suffix can never be part of the hash itself
+  return `"${createHash('sha1').update(body).digest('hex')}"`;
+}
+
+/**
+ * Build the entity tag of a compressed representation
+ * Strong tags must differ per Content-Encoding (RFC 9110 8.8.3), so the
+ * encoding is appended to the tag of the uncompressed body, e.g. "<hash>-br".
+ * @param {string} etag - Entity tag of the uncompressed body
+ * @param {string} encoding - Content-Encoding of the representation
+ * @returns {string} Quoted entity tag
+ */
+export function encodedEntityTag(etag, encoding) {
+  return `${etag.slice(0, -1)}-${encoding}"`;
+}
+
+/**
+ * Strip the encoding suffix added by encodedEntityTag
+ * Used for If-None-Match, so a tag of any encoding of a body matches the
+ * others: a 304 only confirms the client's copy, whichever encoding it has.
+ * @param {string} etag - Entity tag, possibly weak (W/"...")
+ * @returns {string} Opaque tag of the uncompressed body, without W/
+ */
+export function identityEntityTag(etag) {
+  return etag.trim().replace(/^W\//, '').replace(/-(br|gzip|deflate)"$/, '"');
+}
+
+/**
+ * Set the ETag and Last-Modified headers of a cached response
+ * Last-Modified is when the entry was filled: the entry is purged whenever
+ * its data changes, so the content is never older than that.
+ * @param {Object} reply - Fastify reply
+ * @param {Object} entry - Entry (see readEntry)
+ * @param {string} encoding - Content-Encoding the body is sent with
+ */
+function setValidators(reply, entry, encoding = 'identity') {
+  reply.header('ETag', encoding === 'identity' ? entry.etag : encodedEntityTag(entry.etag, encoding));
+
+  // Entries filled before fill times were recorded have none
+  if (entry.lastModified) {
+    reply.header('Last-Modified', new Date(entry.lastModified).toUTCString());
+  }
+}
+
+/**
+ * Add a request header to the Vary header, keeping values set by other plugins (e.g. CORS)
+ * @param {Object} reply - Fastify reply
+ * @param {string} header - Request header the response depends on
+ */
+export function addVary(reply, header) {
+  const vary = [reply.getHeader('Vary')].flat().filter(Boolean).join(', ');
+
+  if (!vary.toLowerCase().split(/\s*,\s*/).includes(header.toLowerCase())) {
+    reply.header('Vary', vary ? `${vary}, ${header}` : header);
+  }
+}
+
+/**
+ * Pick the stored body matching the request's Accept-Encoding
+ * @param {Object} request - Fastify request
+ * @param {Object} bodies - Bodies of an entry keyed by encoding
+ * @returns {string} br, gzip or identity
+ */
+function negotiateEncoding(request, bodies) {
+  if (request.headers['x-no-compression'] !== undefined) {
+    return 'identity';
+  }
+
+  const accepted = new Map((request.headers['accept-encoding'] || '').split(',').map(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    return [name, quality ? parseFloat(quality.slice(2)) : 1];
+  }));
+
+  return ENCODING_PREFERENCE.find(encoding =>
+    bodies[encoding] && (accepted.get(encoding) ?? accepted.get('*') ?? 0) > 0
+  ) || 'identity';
+}
+
+/**
+ * Prepare a reply for a cached response body
+ * Sets the content headers and returns the stored body for the negotiated
+ * encoding; returning a Buffer bypasses serialization and compression.
+ * @param {Object} reply - Fastify reply
+ * @param {Object} entry - Entry (see readEntry)
+ * @returns {Buffer} Response body
+ */
+function cachedBody(reply, entry) {
+  const encoding = negotiateEncoding(reply.request, entry.bodies);
+
+  reply.header('Content-Type', 'application/json; charset=utf-8');
+  setValidators(reply, entry, encoding);
+  addVary(reply, 'accept-encoding');
+  if (encoding !== 'identity') {
+    reply.header('Content-Encoding', encoding);
+  }
+
+  return entry.bodies[encoding];
+}
+
+/**
+ * Try to take the lock for rebuilding a cache entry
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Lock token, or null if another request holds the lock
+ */
+async function acquireRebuildLock(fastify, key) {
+  const token = randomUUID();
+
+  try {
+    const acquired = await fastify.redis.set(`lock:${key}`, token, 'PX', config.cache.lock.ttlMs, 'NX');
+    return acquired === 'OK' ? token : null;
+  } catch (cacheError) {
+    // Without Redis nobody else can share the result either, so just rebuild
+    fastify.log.warn('Failed to acquire cache rebuild lock', { error: cacheError.message, cacheKey: key });
+    return token;
+  }
+}
+
+/**
+ * Delete a Redis lock key if it still holds the given token
+ * @param {Object} fastify - Fastify instance
+ * @param {string} lockKey - Lock key
+ * @param {string} token - Token the lock was taken with
+ */
+export async function releaseRedisLock(fastify, lockKey, token) {
+  if (!fastify.redis.releaseLock) {
+    fastify.redis.defineCommand('releaseLock', { numberOfKeys: 1, lua: RELEASE_LOCK_SCRIPT });
+  }
+
+  await fastify.redis.releaseLock(lockKey, token);
+}
+
+/**
+ * Release a rebuild lock if it is still held by this request
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {string} token - Token returned by acquireRebuildLock
+ */
+async function releaseRebuildLock(fastify, key, token) {
+  try {
+    await releaseRedisLock(fastify, `lock:${key}`, token);
+  } catch (cacheError) {
+    fastify.log.warn('Failed to release cache rebuild lock', { error: cacheError.message, cacheKey: key });
+  }
+}
+
+/**
+ * Run a loader once per key in this process
+ * Concurrent callers for the same key share the pending promise.
+ * @param {string} key - Cache key
+ * @param {Function} load - Async function producing the value
+ * @returns {Promise<*>} Loaded value
+ */
+function singleFlight(key, load) {
+  if (!inflight.has(key)) {
+    inflight.set(key, load().finally(() => inflight.delete(key)));
+  }
+
+  return inflight.get(key);
+}
+
+/**
+ * Rebuild a missing entry
+ * Only the request holding the rebuild lock queries the database; requests
+ * on other instances poll for its result and rebuild themselves only if it
+ * does not appear in time.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {Object} options - Cache options (see cacheThrough)
+ * @param {Function} loader - Async function producing the value
+ * @returns {Promise<Object>} { value, entry } where entry is null if nothing was cached
+ */
+async function rebuildEntry(fastify, key, options, loader) {
+  const generation = fastify.localCache?.generation;
+  const token = await acquireRebuildLock(fastify, key);
+
+  if (!token) {
+    const deadline = Date.now() + config.cache.lock.waitMs;
+
+    while (Date.now() < deadline) {
+      await setTimeout(config.cache.lock.pollMs);
+      const entry = await readEntry(fastify, key);
+      if (entry) {
+        writeLocalEntry(fastify, key, entry, generation);
+        return { value: entryValue(entry), entry };
+      }
+    }
+
+    fastify.log.warn('Timed out waiting for cache rebuild, querying database', { cacheKey: key });
+  }
+
+  try {
+    const value = await loader();
+    const entry = value !== null && value !== undefined
+      ? await writeEntry(fastify, key, value, options, generation)
+      : null;
+    return { value, entry };
+  } finally {
+    if (token) {
+      await releaseRebuildLock(fastify, key, token);
+    }
+  }
+}
+
+/**
+ * Refresh a stale entry without delaying the response
+ * Skipped when this process or another instance is already refreshing it.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {Object} options - Cache options (see cacheThrough)
+ * @param {Function} loader - Async function producing the value
+ */
+function refreshInBackground(fastify, key, options, loader) {
+  if (inflight.has(key)) {
+    return;
+  }
+
+  singleFlight(`refresh:${key}`, async () => {
+    const generation = fastify.localCache?.generation;
+    const token = await acquireRebuildLock(fastify, key);
+    if (!token) {
+      return;
+    }
+
+    try {
+      const value = await loader();
+      if (value !== null && value !== undefined) {
+        await writeEntry(fastify, key, value, options, generation);
+      }
+      fastify.log.debug('Refreshed stale cache entry', { cacheKey: key });
+    } finally {
+      await releaseRebuildLock(fastify, key, token);
+    }
+  }).catch(error => {
+    fastify.log.warn('Failed to refresh stale cache entry', { error: error.message, cacheKey: key });
+  });
+}
+
+/**
+ * Read a value through the cache
+ * Fresh entries are returned as HIT-L1 from the local cache or HIT-L2 from
+ * Redis (and copied into the local cache). Expired entries still within their
+ * stale window are returned as STALE while one request refreshes them in
+ * the background. Missing entries are rebuilt once: concurrent requests in
+ * this process share one loader call and other instances wait on a Redis
+ * lock (MISS). Loader errors propagate; null results are not cached.
+ *
+ * With `reply`, the value is a response body: it is stored serialized by the
+ * route's response schema and pre-compressed, and hits return the stored
+ * Buffer for the client's Accept-Encoding with Content-Type,
+ * Content-Encoding, ETag, Last-Modified and Vary already set. Return it from
+ * the handler as is. Misses return the loaded value (with ETag,
+ * Last-Modified and Vary set; the ETag is that of the uncompressed body,
+ * suffixed by the encodedEntityTags hook if @fastify/compress encodes it).
+ * @param {Object} fastify - Fastify instance
+ * @param {string} key - Cache key
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Seconds the entry is fresh
+ * @param {number} options.staleTtl - Seconds an expired entry may still be served
+ * @param {Array<string>|Function} options.tags - Tags, or a function of the value returning them
+ * @param {Object} options.reply - Fastify reply, to cache the value as the response body
+ * @param {Function} loader - Async function producing the value on a miss
+ * @returns {Promise<Object>} { data, cacheStatus } where cacheStatus is HIT-L1, HIT-L2, STALE or MISS
+ */
+export async function cacheThrough(fastify, key, { ttl, staleTtl = config.cache.staleTtl, tags = [], reply }, loader) {
+  const options = {
+    ttl,
+    staleTtl,
+    tags,
+    ...(reply && {
+      serialize: reply.getSerializationFunction(200),
+      compress: config.cache.compression.enabled
+    })
+  };
+
+  let entry = readLocalEntry(fastify, key);
+  let cacheStatus = 'HIT-L1';
+
+  if (!entry) {
+    const generation = fastify.localCache?.generation;
+    entry = await readEntry(fastify, key);
+
+    if (entry && Date.now() < entry.freshUntil) {
+      writeLocalEntry(fastify, key, entry, generation);
+      cacheStatus = 'HIT-L2';
+    } else if (entry) {
+      refreshInBackground(fastify, key, options, loader);
+      cacheStatus = 'STALE';
+    }
+  }
+
+  if (entry) {
+    return { data: reply ? cachedBody(reply, entry) : entryValue(entry), cacheStatus };
+  }
+
+  const { value, entry: cached } = await singleFlight(key, () => rebuildEntry(fastify, key, options, loader));
+
+  if (reply && cached) {
+    setValidators(reply, cached);
+    addVary(reply, 'accept-encoding');
+  }
+
+  return { data: value, cacheStatus: 'MISS' };
+}
+
+/**
+ * Delete every key matching a pattern
+ * Uses SCAN instead of KEYS so Redis is never blocked on large keyspaces.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} pattern - Redis glob-style pattern
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function deleteKeysByPattern(fastify, pattern) {
+  let deleted = 0;
+  const stream = fastify.redis.scanStream({ match: pattern, count: 500 });
+
+  for await (const keys of stream) {
+    if (keys.length > 0) {
+      deleted += await fastify.redis.unlink(...keys);
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Delete every entry tagged with a tag
+ * The tag set is renamed before it is read, so entries cached while the
+ * purge runs start a fresh set instead of being lost from this one.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} tag - Tag
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function deleteTaggedKeys(fastify, tag) {
+  const purgeKey = `${tagKey(tag)}:purge:${randomUUID()}`;
+
+  try {
+    await fastify.redis.rename(tagKey(tag), purgeKey);
+  } catch (error) {
+    if (/no such key/i.test(error.message)) {
+      return 0;
+    }
+    throw error;
+  }
+
+  let deleted = 0;
+  const stream = fastify.redis.sscanStream(purgeKey, { count: 500 });
+
+  for await (const keys of stream) {
+    if (keys.length > 0) {
+      deleted += await fastify.redis.unlink(...keys);
+    }
+  }
+
+  await fastify.redis.unlink(purgeKey);
+  return deleted;
+}
+
+/**
+ * Delete cached entries by exact key, by tag and by pattern
+ * Local copies are evicted here and on every other instance through an
+ * invalidation message.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} targets - Keys, tags and patterns to delete
+ * @param {Array<string>} targets.keys - Exact cache keys
+ * @param {Array<string>} targets.tags - Cache tags
+ * @param {Array<string>} targets.patterns - Redis glob-style patterns
+ * @returns {Promise<number>} Number of keys deleted
+ * @throws {Error} If Redis fails
+ */
+export async function purgeCache(fastify, { keys = [], tags = [], patterns = [] }) {
+  let deleted = 0;
+
+  if (fastify.localCache) {
+    evictLocalEntries(fastify.localCache, { keys, tags, patterns });
+  }
+
+  if (keys.length > 0) {
+    deleted += await fastify.redis.unlink(...keys);
+  }
+
+  for (const tag of new Set(tags)) {
+    deleted += await deleteTaggedKeys(fastify, tag);
+  }
+
+  for (const pattern of patterns) {
+    deleted += await deleteKeysByPattern(fastify, pattern);
+  }
+
+  if (config.cache.l1.enabled) {
+    await fastify.redis.publish(config.cache.l1.channel, JSON.stringify({ keys, tags, patterns }));
+  }
+
+  return deleted;
+}
+
+/**
+ * Invalidate cached entries by exact key, by tag and by pattern
+ * Cache failures are logged and swallowed: a stale entry expires on its own
+ * TTL and must never fail the write that triggered the invalidation.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} targets - Keys, tags and patterns to invalidate (see purgeCache)
+ * @param {string} reason - Description of the change for logging
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function invalidateCache(fastify, { keys = [], tags = [], patterns = [] }, reason) {
+  let deleted = 0;
+
+  try {
+    deleted = await purgeCache(fastify, { keys, tags, patterns });
+
+    fastify.log.info('Cache invalidated', { reason, keys, tags, patterns, deleted });
+  } catch (cacheError) {
+    fastify.log.warn('Failed to invalidate cache', {
+      error: cacheError.message,
+      reason,
+      keys,
+      tags,
+      patterns
+    });
+  }
+
+  return deleted;
+}
+
+/**
+ * Invalidate every cached entry tagged with any of the given tags
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<string>} tags - Cache tags
+ * @param {string} reason - Description of the change for logging
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function purgeCacheTags(fastify, tags, reason) {
+  return invalidateCache(fastify, { tags }, reason);
+}
+
+/**
+ * Invalidate cached entries after a product was created, changed or deleted
+ * Any product change can move products between listing pages, filters and
+ * category counts, so listings are purged along with entries holding the
+ * product itself.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} reason - Description of the change for logging
+ * @param {Array<number>} indexes - Indexes of the changed products, if known
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function invalidateProductCache(fastify, reason, indexes = []) {
+  return purgeCacheTags(fastify, [
+    CACHE_TAGS.LISTING,
+    CACHE_TAGS.CATEGORIES,
+    ...indexes.map(productTag)
+  ], reason);
+}
+
+/**
+ * Invalidate cached entries after stock levels changed
+ * Entries containing the restocked or sold products are purged, along with
+ * listings sorted or filtered by stock, whose order and membership can
+ * change without them holding the product. A change of a product's
+ * availability purges every listing, since availability is a listing filter
+ * and facet.
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<Object>} stock - New stock levels ({ index, stock, availability })
+ * @param {boolean} availabilityChanged - Whether any product's availability changed
+ * @param {string} reason - Description of the change for logging
+ * @returns {Promise<number>} Number of keys deleted
+ */
+export async function invalidateStockCache(fastify, stock, availabilityChanged, reason) {
+  return purgeCacheTags(fastify, [
+    CACHE_TAGS.CATEGORIES,
+    availabilityChanged ? CACHE_TAGS.LISTING : CACHE_TAGS.STOCK_LISTING,
+    ...productTags(stock)
+  ], reason);
+}
@@ -0,0 +1,552 @@
+/**
+ * Shopping cart storage utilities
+ *
+ * Carts live in Redis under `cart:<id>` with a sliding TTL. Carts that
+ * belong to a signed-in customer are also written through to the Postgres
+ * `carts` table, which is used as a fallback when the Redis entry has
+ * expired or Redis is unavailable. Changes to a cart are made while holding
+ * its lock (see withCartLock).
+ *
+ * A cart line is `{ index, variantId, quantity }`. Products with variants
+ * are bought by variant, against the variant's stock and price; variantId
+ * is null for products without variants.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { randomUUID } from 'crypto';
+import { setTimeout } from 'timers/promises';
+import { config } from '../config/app.js';
+import { releaseRedisLock } from './cache.js';
+import { executeQuery } from './database.js';
+import { CacheError, ConflictError, handleDatabaseError, NotFoundError, ValidationError } from './errorHandler.js';
+
+/**
+ * Build the Redis key of a cart
+ * @param {string} cartId - Cart ID
+ * @returns {string} Redis key
+ */
+function cartKey(cartId) {
+  return `cart:${cartId}`;
+}
+
+/**
+ * Run a cart query, mapping PostgreSQL errors to application errors
+ * @param {Object} fastify - Fastify instance
+ * @param {string} query - SQL query string
+ * @param {Array} params - Query parameters
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<Object>} Query result
+ */
+async function runCartQuery(fastify, query, params, operation) {
+  try {
+    return await executeQuery(fastify, query, params, operation);
+  } catch (dbError) {
+    throw handleDatabaseError(dbError, operation);
+  }
+}
+
+/**
+ * Create a new, empty cart object (not yet saved)
+ * @param {number|null} customerId - Owning customer, or null for an anonymous cart
+ * @returns {Object} Cart
+ */
+export function createCart(customerId = null) {
+  const now = new Date().toISOString();
+
+  return {
+    id: randomUUID(),
+    customerId,
+    currency: null,
+    items: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Load a customer cart from Postgres
+ * @param {Object} fastify - Fastify instance
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<Object>} Cart
+ * @throws {NotFoundError} If the cart is not persisted
+ */
+async function loadPersistedCart(fastify, cartId) {
+  const result = await runCartQuery(
+    fastify,
+    'SELECT id, customer_id, currency, items, created_at, updated_at FROM carts WHERE id = $1',
+    [cartId],
+    'loading persisted cart'
+  );
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Cart', cartId);
+  }
+
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    customerId: row.customer_id,
+    currency: row.currency,
+    items: row.items,
+    createdAt: row.created_at.toISOString(),
+    updatedAt: row.updated_at.toISOString()
+  };
+}
+
+/**
+ * Load a cart from Redis, falling back to Postgres for customer carts
+ * @param {Object} fastify - Fastify instance
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<Object>} Cart
+ * @throws {NotFoundError} If the cart does not exist or has expired
+ */
+export async function loadCart(fastify, cartId) {
+  try {
+    const cached = await fastify.redis.get(cartKey(cartId));
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (cacheError) {
+    fastify.log.warn('Redis cart read failed, falling back to database', {
+      error: cacheError.message,
+      cartId
+    });
+  }
+
+  const cart = await loadPersistedCart(fastify, cartId);
+
+  // Rehydrate Redis so subsequent reads are served from memory
+  try {
+    await fastify.redis.set(cartKey(cartId), JSON.stringify(cart), 'EX', config.cart.ttl);
+  } catch (cacheError) {
+    fastify.log.warn('Failed to rehydrate cart in Redis', {
+      error: cacheError.message,
+      cartId
+    });
+  }
+
+  return cart;
+}
+
+/**
+ * Claim a cart for checkout
+ * The Redis copy is read and deleted in one step, so only one checkout can
+ * claim an anonymous cart. Customer carts are also claimed by deleting
+ * their `carts` row in the order transaction (see placeOrder). Put the cart
+ * back with restoreClaimedCart if the order fails.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<Object>} Cart
+ * @throws {NotFoundError} If the cart does not exist or was claimed already
+ */
+export async function claimCart(fastify, cartId) {
+  try {
+    const [[, cached]] = await fastify.redis.multi().get(cartKey(cartId)).del(cartKey(cartId)).exec();
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (cacheError) {
+    fastify.log.warn('Redis cart claim failed, falling back to database', {
+      error: cacheError.message,
+      cartId
+    });
+  }
+
+  return loadPersistedCart(fastify, cartId);
+}
+
+/**
+ * Put a claimed cart back into Redis, unless it has been recreated since
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} cart - Cart returned by claimCart
+ */
+export async function restoreClaimedCart(fastify, cart) {
+  try {
+    await fastify.redis.set(cartKey(cart.id), JSON.stringify(cart), 'EX', config.cart.ttl, 'NX');
+  } catch (cacheError) {
+    fastify.log.warn('Failed to restore claimed cart', { error: cacheError.message, cartId: cart.id });
+  }
+}
+
+/**
+ * Take the lock of a cart, waiting for another holder to release it
+ * @param {Object} fastify - Fastify instance
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<string|null>} Lock token, or null if Redis is unavailable
+ * @throws {ConflictError} If the lock is not released in time
+ */
+async function acquireCartLock(fastify, cartId) {
+  const token = randomUUID();
+  const deadline = Date.now() + config.cart.lock.waitMs;
+
+  try {
+    while (await fastify.redis.set(`lock:${cartKey(cartId)}`, token, 'PX', config.cart.lock.ttlMs, 'NX') !== 'OK') {
+      if (Date.now() >= deadline) {
+        throw new ConflictError('Cart is being changed by another request; try again');
+      }
+      await setTimeout(config.cart.lock.pollMs);
+    }
+    return token;
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      throw error;
+    }
+    // Anonymous carts cannot be saved without Redis either; customer carts
+    // are still guarded by the conditional write in saveCart
+    fastify.log.warn('Failed to acquire cart lock', { error: error.message, cartId });
+    return null;
+  }
+}
+
+/**
+ * Run a cart change while holding the cart's lock
+ * Changes load, modify and save the whole cart, so changes to one cart are
+ * applied one at a time instead of overwriting each other.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} cartId - Cart ID
+ * @param {Function} fn - Async function making the change
+ * @returns {Promise<*>} Result of fn
+ * @throws {ConflictError} If another change holds the lock for too long
+ */
+export async function withCartLock(fastify, cartId, fn) {
+  const token = await acquireCartLock(fastify, cartId);
+
+  try {
+    return await fn();
+  } finally {
+    if (token) {
+      try {
+        await releaseRedisLock(fastify, `lock:${cartKey(cartId)}`, token);
+      } catch (cacheError) {
+        fastify.log.warn('Failed to release cart lock', { error: cacheError.message, cartId });
+      }
+    }
+  }
+}
+
+/**
+ * Save a cart to Redis (refreshing its TTL) and, for customer carts, to Postgres
+ * The Postgres copy is only overwritten if it is not newer than the cart as
+ * it was loaded; otherwise the change is rejected and the Redis copy dropped,
+ * so the next request reloads the current cart.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} cart - Cart to save
+ * @returns {Promise<Object>} Saved cart
+ * @throws {CacheError} If an anonymous cart cannot be written to Redis
+ * @throws {ConflictError} If the customer cart was changed since it was loaded
+ */
+export async function saveCart(fastify, cart) {
+  const loadedAt = cart.updatedAt;
+  cart.updatedAt = new Date(Math.max(Date.now(), Date.parse(loadedAt) + 1)).toISOString();
+
+  if (cart.customerId !== null) {
+    const result = await runCartQuery(
+      fastify,
+      `INSERT INTO carts (id, customer_id, currency, items, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO UPDATE
+       SET currency = EXCLUDED.currency, items = EXCLUDED.items, updated_at = EXCLUDED.updated_at
+       WHERE carts.updated_at <= $7`,
+      [cart.id, cart.customerId, cart.currency, JSON.stringify(cart.items), cart.createdAt, cart.updatedAt, loadedAt],
+      'persisting customer cart'
+    );
+
+    if (result.rowCount === 0) {
+      try {
+        await fastify.redis.del(cartKey(cart.id));
+      } catch (cacheError) {
+        fastify.log.warn('Failed to drop stale cart from Redis', { error: cacheError.message, cartId: cart.id });
+      }
+      throw new ConflictError('Cart was changed by another request; reload it and try again');
+    }
+  }
+
+  try {
+    await fastify.redis.set(cartKey(cart.id), JSON.stringify(cart), 'EX', config.cart.ttl);
+  } catch (cacheError) {
+    // Anonymous carts only live in Redis, so a failed write loses the change
+    if (cart.customerId === null) {
+      throw new CacheError('Failed to save cart', cacheError);
+    }
+    fastify.log.warn('Redis cart write failed, relying on database copy', {
+      error: cacheError.message,
+      cartId: cart.id
+    });
+  }
+
+  return cart;
+}
+
+/**
+ * Delete a cart from Redis and Postgres
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} cart - Cart to delete
+ */
+export async function deleteCart(fastify, cart) {
+  try {
+    await fastify.redis.del(cartKey(cart.id));
+  } catch (cacheError) {
+    fastify.log.warn('Failed to delete cart from Redis', {
+      error: cacheError.message,
+      cartId: cart.id
+    });
+  }
+
+  if (cart.customerId !== null) {
+    await runCartQuery(fastify, 'DELETE FROM carts WHERE id = $1', [cart.id], 'deleting customer cart');
+  }
+}
+
+/**
+ * Check whether a cart or order line is for the given product and variant
+ * Lines saved before variants were supported have no variantId.
+ * @param {Object} line - Line of { index, variantId, quantity }
+ * @param {number} productIndex - Product index
+ * @param {number|null} variantId - Variant ID, or null for the product itself
+ * @returns {boolean} Whether the line matches
+ */
+export function isSameLine(line, productIndex, variantId) {
+  return line.index === productIndex && (line.variantId ?? null) === variantId;
+}
+
+/**
+ * Fetch the products referenced by cart lines, keyed by index
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<number>} indexes - Product indexes
+ * @returns {Promise<Map>} Products by index (with has_variants)
+ */
+export async function fetchCartProducts(fastify, indexes) {
+  if (indexes.length === 0) {
+    return new Map();
+  }
+
+  const result = await runCartQuery(
+    fastify,
+    `SELECT index, name, price, currency, stock, availability, image_url,
+       EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id) AS has_variants
+     FROM products WHERE index = ANY($1)`,
+    [indexes],
+    'fetching cart products'
+  );
+
+  return new Map(result.rows.map(row => [row.index, row]));
+}
+
+/**
+ * Fetch the variants referenced by cart lines, keyed by ID
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<number>} variantIds - Variant IDs
+ * @returns {Promise<Map>} Variants by ID (with their product's index)
+ */
+export async function fetchCartVariants(fastify, variantIds) {
+  if (variantIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await runCartQuery(
+    fastify,
+    `SELECT v.id, p.index, v.sku, v.color, v.size, v.price, v.stock
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.id = ANY($1)`,
+    [variantIds],
+    'fetching cart variants'
+  );
+
+  return new Map(result.rows.map(row => [row.id, row]));
+}
+
+/**
+ * Look up the variant of a line
+ * @param {Map} variants - Variants by ID (see fetchCartVariants)
+ * @param {number} productIndex - Product index of the line
+ * @param {number|null} variantId - Variant ID of the line
+ * @returns {Object|null|undefined} Variant row; null for lines without a variant,
+ *   undefined if the variant does not exist or belongs to another product
+ */
+export function findLineVariant(variants, productIndex, variantId) {
+  if (variantId === null) {
+    return null;
+  }
+
+  const variant = variants.get(variantId);
+  return variant && variant.index === productIndex ? variant : undefined;
+}
+
+/**
+ * Describe why a quantity of a product or variant cannot be bought, if it cannot
+ * Products with variants can only be bought by variant; a variant is bought
+ * against its own stock, at its own price if it overrides the product's.
+ * @param {Object|undefined} product - Product row (see fetchCartProducts)
+ * @param {Object|null|undefined} variant - Variant of the line (see findLineVariant)
+ * @param {number} quantity - Requested quantity
+ * @returns {string|null} Issue description, or null if the line is valid
+ */
+export function getLineIssue(product, variant, quantity) {
+  if (!product) {
+    return 'Product is no longer available';
+  }
+  if (variant === undefined) {
+    return 'Variant is no longer available';
+  }
+  if (variant === null && product.has_variants) {
+    return 'Product has variants; choose one by variantId';
+  }
+  if ((variant?.price ?? product.price) === null) {
+    return 'Product has no price';
+  }
+
+  const stock = variant ? variant.stock : product.stock ?? 0;
+  if (stock <= 0 || (!variant && (product.availability || '').toLowerCase() === 'out_of_stock')) {
+    return `${variant ? 'Variant' : 'Product'} is out of stock`;
+  }
+  if (quantity > stock) {
+    return `Only ${stock} in stock`;
+  }
+  return null;
+}
+
+/**
+ * Set the quantity of a cart line after validating it against stock
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} cart - Cart to modify
+ * @param {number} productIndex - Product index
+ * @param {number} quantity - New quantity (0 removes the line)
+ * @param {number|null} variantId - Variant ID, required for products with variants
+ * @returns {Promise<Object>} Modified cart (not yet saved)
+ * @throws {NotFoundError} If the product or variant does not exist
+ * @throws {ValidationError} If the quantity cannot be fulfilled
+ */
+export async function setCartLine(fastify, cart, productIndex, quantity, variantId = null) {
+  if (quantity === 0) {
+    return removeCartLine(cart, productIndex, variantId);
+  }
+  if (quantity > config.cart.maxQuantity) {
+    throw new ValidationError(`Quantity cannot exceed ${config.cart.maxQuantity}`);
+  }
+
+  const [products, variants] = await Promise.all([
+    fetchCartProducts(fastify, [productIndex]),
+    fetchCartVariants(fastify, variantId === null ? [] : [variantId])
+  ]);
+  const product = products.get(productIndex);
+  if (!product) {
+    throw new NotFoundError('Product', productIndex);
+  }
+
+  const variant = findLineVariant(variants, productIndex, variantId);
+  if (variant === undefined) {
+    throw new NotFoundError('Product variant', variantId);
+  }
+
+  const issue = getLineIssue(product, variant, quantity);
+  if (issue) {
+    throw new ValidationError(issue, {
+      index: productIndex,
+      variantId,
+      quantity,
+      stock: variant ? variant.stock : product.stock
+    });
+  }
+
+  const currency = product.currency || 'USD';
+  const otherLines = cart.items.filter(item => !isSameLine(item, productIndex, variantId));
+  if (cart.currency && otherLines.length > 0 && currency !== cart.currency) {
+    throw new ValidationError(`Cart currency is ${cart.currency}; product is priced in ${currency}`);
+  }
+
+  const line = cart.items.find(item => isSameLine(item, productIndex, variantId));
+  if (line) {
+    line.quantity = quantity;
+  } else {
+    if (cart.items.length >= config.cart.maxItems) {
+      throw new ValidationError(`Cart cannot contain more than ${config.cart.maxItems} products`);
+    }
+    cart.items.push({ index: productIndex, variantId, quantity });
+  }
+  cart.currency = currency;
+
+  return cart;
+}
+
+/**
+ * Remove a line from a cart
+ * @param {Object} cart - Cart to modify
+ * @param {number} productIndex - Product index
+ * @param {number|null} variantId - Variant ID of the line, or null for the product itself
+ * @returns {Object} Modified cart (not yet saved)
+ * @throws {NotFoundError} If the product is not in the cart
+ */
+export function removeCartLine(cart, productIndex, variantId = null) {
+  const remaining = cart.items.filter(item => !isSameLine(item, productIndex, variantId));
+  if (remaining.length === cart.items.length) {
+    throw new NotFoundError('Cart item', variantId === null ? productIndex : `${productIndex}/${variantId}`);
+  }
+
+  cart.items = remaining;
+  if (cart.items.length === 0) {
+    cart.currency = null;
+  }
+
+  return cart;
+}
+
+/**
+ * Build the client-facing view of a cart with current prices, line totals
+ * and stock/availability validation
+ * Amounts are computed in cents to avoid floating point drift.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} cart - Cart
+ * @returns {Promise<Object>} Cart view
+ */
+export async function buildCartView(fastify, cart) {
+  const [products, variants] = await Promise.all([
+    fetchCartProducts(fastify, cart.items.map(item => item.index)),
+    fetchCartVariants(fastify, cart.items.map(item => item.variantId ?? null).filter(id => id !== null))
+  ]);
+  let subtotalCents = 0;
+
+  const items = cart.items.map(item => {
+    const variantId = item.variantId ?? null;
+    const product = products.get(item.index);
+    const variant = findLineVariant(variants, item.index, variantId);
+    const issue = getLineIssue(product, variant, item.quantity);
+    const price = variant?.price ?? product?.price ?? null;
+    const unitPriceCents = price !== null ? Math.round(Number(price) * 100) : 0;
+    const lineTotalCents = unitPriceCents * item.quantity;
+
+    if (!issue) {
+      subtotalCents += lineTotalCents;
+    }
+
+    return {
+      index: item.index,
+      variantId,
+      sku: variant?.sku ?? null,
+      color: variant?.color ?? null,
+      size: variant?.size ?? null,
+      name: product?.name ?? null,
+      image_url: product?.image_url ?? null,
+      quantity: item.quantity,
+      unitPrice: unitPriceCents / 100,
+      lineTotal: lineTotalCents / 100,
+      stock: (variant ? variant.stock : product?.stock) ?? 0,
+      availability: product?.availability ?? null,
+      available: issue === null,
+      issue
+    };
+  });
+
+  return {
+    id: cart.id,
+    customerId: cart.customerId,
+    currency: cart.currency || 'USD',
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: subtotalCents / 100,
+    valid: items.every(item => item.available),
+    createdAt: cart.createdAt,
+    updatedAt: cart.updatedAt
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Currency conversion utilities
+ *
+ * Prices are stored in each product's own `currency`. Product routes
+ * convert them on request (`currency` query parameter or Accept-Currency
+ * header) using the `exchange_rates` table, where every rate is the number
+ * of units of a currency per 1 unit of the base currency:
+ *
+ *   const pricing = await resolvePricing(fastify, request, reply);
+ *   const products = convertProducts(rows, pricing);
+ *
+ * Converted prices are rounded to the minor units of the target currency
+ * (e.g. 0 decimals for JPY, 3 for KWD). Rates are cached like any other
+ * response and purged with the `exchange-rates` tag, which also purges
+ * every cached response holding converted prices.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { config } from '../config/app.js';
+import { addVary, CACHE_TAGS, cacheThrough } from './cache.js';
+import { executeQuery } from './database.js';
+import { ValidationError } from './errorHandler.js';
+
+const EXCHANGE_RATES_CACHE_KEY = 'exchange-rates:all';
+
+/**
+ * Insert or update exchange rates from three parallel arrays
+ * ($1 currencies, $2 rates, $3 minor units)
+ */
+export const UPSERT_EXCHANGE_RATES_QUERY = `
+  INSERT INTO exchange_rates (currency, rate, minor_units, updated_at)
+  SELECT currency, rate, minor_units, CURRENT_TIMESTAMP
+  FROM unnest($1::text[], $2::numeric[], $3::smallint[]) AS input(currency, rate, minor_units)
+  ON CONFLICT (currency) DO UPDATE
+  SET rate = EXCLUDED.rate, minor_units = EXCLUDED.minor_units, updated_at = EXCLUDED.updated_at
+  RETURNING currency, rate, minor_units AS "minorUnits", updated_at AS "updatedAt"
+`;
+
+/**
+ * Get the ISO 4217 minor units of a currency (2 for codes ICU does not know)
+ * @param {string} currency - Currency code
+ * @returns {number} Number of decimals
+ */
+export function defaultMinorUnits(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Shift the decimal point of a number written in decimal or exponent notation
+ * @param {number|string} value - Number or its string form
+ * @param {number} places - Places to shift by (negative shifts right to left)
+ * @returns {number} value * 10^places, without binary rounding error
+ */
+function shiftDecimal(value, places) {
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  return Number(`${mantissa}e${Number(exponent) + places}`);
+}
+
+/**
+ * Round an amount half away from zero to a number of decimals
+ * Shifting through exponent notation keeps the rounding decimal, so 1.005
+ * rounds to 1.01 rather than 1.00. The absolute value is rounded, since
+ * Math.round rounds halves up (-2.5 to -2).
+ * @param {number} amount - Amount
+ * @param {number} minorUnits - Number of decimals
+ * @returns {number} Rounded amount
+ */
+export function roundPrice(amount, minorUnits) {
+  const shifted = Math.round(shiftDecimal(Math.abs(amount).toPrecision(15), minorUnits));
+  const rounded = shiftDecimal(shifted, -minorUnits);
+  return amount < 0 ? -rounded : rounded;
+}
+
+/**
+ * Validate exchange rates and fill in default minor units
+ * @param {Array<Object>} rates - Rates ({ currency, rate, minorUnits? })
+ * @returns {Array<Object>} Rates with minorUnits
+ * @throws {ValidationError} If a currency is listed twice or the base currency is not at 1
+ */
+export function normalizeExchangeRates(rates) {
+  const seen = new Set();
+
+  return rates.map(({ currency, rate, minorUnits }) => {
+    if (seen.has(currency)) {
+      throw new ValidationError(`Exchange rate for ${currency} is listed more than once`);
+    }
+    seen.add(currency);
+
+    if (currency === config.currency.base && rate !== 1) {
+      throw new ValidationError(`The base currency ${currency} must have a rate of 1`);
+    }
+
+    return { currency, rate, minorUnits: minorUnits ?? defaultMinorUnits(currency) };
+  });
+}
+
+/**
+ * Load every exchange rate, through the response cache
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object>} { rate, minorUnits } keyed by currency code
+ */
+export async function loadExchangeRates(fastify) {
+  const { data } = await cacheThrough(fastify, EXCHANGE_RATES_CACHE_KEY, {
+    ttl: config.currency.ratesCacheTtl,
+    tags: [CACHE_TAGS.EXCHANGE_RATES]
+  }, async () => {
+    const result = await executeQuery(
+      fastify,
+      'SELECT currency, rate, minor_units FROM exchange_rates',
+      [],
+      'loading exchange rates'
+    );
+
+    return Object.fromEntries(result.rows.map(row => [
+      row.currency,
+      { rate: parseFloat(row.rate), minorUnits: row.minor_units }
+    ]));
+  });
+
+  return data;
+}
+
+/**
+ * Get the currencies a request asks for, most preferred first
+ * The `currency` query parameter wins over the Accept-Currency header,
+ * which may list several codes (e.g. "EUR, GBP").
+ * @param {Object} request - Fastify request
+ * @returns {Array<string>} Upper-case currency codes
+ */
+function requestedCurrencies(request) {
+  const requested = request.query?.currency ?? request.headers['accept-currency'];
+  if (!requested) {
+    return [];
+  }
+
+  return requested
+    .split(',')
+    .map(part => part.split(';')[0].trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the currency prices should be returned in
+ * Adds Accept-Currency to the Vary header, since the header can change the
+ * response even when the request does not send it.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @returns {Promise<Object|null>} { currency, rates }, or null to return stored prices
+ * @throws {ValidationError} If none of the requested currencies has an exchange rate
+ */
+export async function resolvePricing(fastify, request, reply) {
+  addVary(reply, 'Accept-Currency');
+
+  const requested = requestedCurrencies(request);
+  if (!requested.length) {
+    return null;
+  }
+
+  const rates = await loadExchangeRates(fastify);
+  const currency = requested.find(code => rates[code]);
+
+  if (!currency) {
+    throw new ValidationError(`Unsupported currency: ${requested.join(', ')}`, {
+      supported: Object.keys(rates).sort()
+    });
+  }
+
+  return { currency, rates };
+}
+
+/**
+ * Build the cache key segment of a pricing (empty for stored prices)
+ * @param {Object|null} pricing - Pricing (see resolvePricing)
+ * @returns {string} Cache key segment
+ */
+export function pricingCacheSegment(pricing) {
+  return pricing ? `:currency:${pricing.currency}` : '';
+}
+
+/**
+ * Build the cache tags of a pricing, so rate changes purge converted responses
+ * @param {Object|null} pricing - Pricing (see resolvePricing)
+ * @returns {Array<string>} Tags
+ */
+export function pricingTags(pricing) {
+  return pricing ? [CACHE_TAGS.EXCHANGE_RATES] : [];
+}
+
+/**
+ * Convert the price of a product row to the requested currency
+ * Products priced in a currency without an exchange rate keep their stored
+ * price and currency.
+ * @param {Object} product - Product row with price and currency
+ * @param {Object|null} pricing - Pricing (see resolvePricing)
+ * @returns {Object} Product row
+ */
+export function convertProduct(product, pricing) {
+  const source = pricing?.rates[product.currency || config.currency.base];
+  if (!source) {
+    return product;
+  }
+
+  if (product.price === null || product.price === undefined) {
+    return { ...product, currency: pricing.currency };
+  }
+
+  const target = pricing.rates[pricing.currency];
+  const price = Number(product.price) * target.rate / source.rate;
+
+  return { ...product, price: roundPrice(price, target.minorUnits), currency: pricing.currency };
+}
+
+/**
+ * Convert the prices of product rows to the requested currency
+ * @param {Array<Object>} products - Product rows with price and currency
+ * @param {Object|null} pricing - Pricing (see resolvePricing)
+ * @returns {Array<Object>} Product rows
+ */
+export function convertProducts(products, pricing) {
+  return pricing ? products.map(product => convertProduct(product, pricing)) : products;
+}
@@ -7,6 +7,19 @@
  * @version 1.0.0
  */
 
+/**
+ * Largest value of a PostgreSQL INTEGER column
+ */
+export const MAX_INTEGER = 2147483647;
+
+/**
+ * Pattern of a path or query parameter holding an INTEGER from 1 to MAX_INTEGER
+ * Larger values would reach PostgreSQL and fail with an out-of-range error.
+ */
+export const POSITIVE_INTEGER_PATTERN =
+  '^(?:[1-9]\\d{0,8}|1\\d{9}|20\\d{8}|21[0-3]\\d{7}|214[0-6]\\d{6}|2147[0-3]\\d{5}|' +
+  '21474[0-7]\\d{4}|214748[0-2]\\d{3}|2147483[0-5]\\d{2}|21474836[0-3]\\d|214748364[0-7])$';
+
 /**
  * Execute a database query with error handling and logging
  * @param {Object} fastify - Fastify instance
@@ -48,6 +48,31 @@ export class NotFoundError extends Error {
   }
 }
 
+export class ConflictError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+    this.details = details;
+  }
+}
+
+export class AuthenticationError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.statusCode = 401;
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+  }
+}
+
 /**
  * Log error with structured information
  * @param {Object} fastify - Fastify instance
@@ -141,6 +166,12 @@ export function handleDatabaseError(dbError, operation) {
         detail: dbError.detail
       });
     
+    case '22003': // numeric_value_out_of_range
+    case '22P02': // invalid_text_representation
+      return new ValidationError('Value is out of range or malformed', {
+        detail: dbError.message
+      });
+    
     case '42P01': // undefined_table
       return new DatabaseError('Database table not found', dbError);
     
@@ -0,0 +1,131 @@
+/**
+ * Image processing utilities
+ *
+ * Validation of uploaded images and generation of their resized variants
+ * with sharp. Uploads are identified by their content, not by the file
+ * name or the client's Content-Type, and every variant is auto-rotated
+ * from the EXIF orientation.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { ValidationError } from './errorHandler.js';
+
+/**
+ * Accepted upload formats (as reported by sharp)
+ */
+const UPLOAD_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+
+/**
+ * Formats variants are generated in
+ */
+const VARIANT_FORMATS = {
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' }
+};
+
+/**
+ * Content types of stored files by extension, for serving them
+ */
+export const MEDIA_CONTENT_TYPES = Object.fromEntries(
+  [...Object.values(UPLOAD_FORMATS), ...Object.values(VARIANT_FORMATS)]
+    .map(({ extension, contentType }) => [extension, contentType])
+);
+
+/**
+ * Read the format and displayed dimensions of an uploaded image
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} { format, extension, contentType, width, height }
+ * @throws {ValidationError} If the file is not an image in an accepted format
+ */
+export async function readImageInfo(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    metadata = null;
+  }
+
+  const format = metadata && UPLOAD_FORMATS[metadata.format];
+  if (!format || !metadata.width || !metadata.height) {
+    throw new ValidationError('Uploaded file is not a supported image', {
+      supported: Object.keys(UPLOAD_FORMATS)
+    });
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees when displayed
+  const rotated = metadata.orientation >= 5;
+
+  return {
+    format: metadata.format,
+    ...format,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+}
+
+/**
+ * List the variants generated for an upload
+ * Each thumbnail width narrower than the image is generated as WebP and
+ * JPEG, plus a full size WebP.
+ * @param {Object} mediaConfig - Media configuration (see config.media)
+ * @param {number} imageWidth - Displayed width of the original
+ * @returns {Array<Object>} Variants ({ name, width, format }; width null for full size)
+ */
+export function variantSpecs(mediaConfig, imageWidth) {
+  return [
+    ...mediaConfig.thumbnailWidths.filter(width => width < imageWidth).flatMap(width => [
+      { name: `w${width}`, width, format: 'webp' },
+      { name: `w${width}`, width, format: 'jpeg' }
+    ]),
+    { name: 'full', width: null, format: 'webp' }
+  ];
+}
+
+/**
+ * Build the storage key of a variant, next to the original
+ * @param {string} originalKey - Storage key of the original
+ * @param {Object} spec - Variant (see variantSpecs)
+ * @returns {string} Storage key
+ */
+export function variantKey(originalKey, spec) {
+  return `${path.posix.dirname(originalKey)}/${spec.name}.${VARIANT_FORMATS[spec.format].extension}`;
+}
+
+/**
+ * Generate one variant of an image
+ * Images are never enlarged; JPEG variants are flattened onto white, since
+ * JPEG has no transparency.
+ * @param {Buffer} buffer - Original image
+ * @param {Object} spec - Variant (see variantSpecs)
+ * @param {number} quality - Encoder quality (1-100)
+ * @returns {Promise<Object>} { buffer, width, height, contentType }
+ */
+export async function generateVariant(buffer, spec, quality) {
+  let pipeline = sharp(buffer).rotate();
+
+  if (spec.width) {
+    pipeline = pipeline.resize({ width: spec.width, withoutEnlargement: true });
+  }
+
+  pipeline = spec.format === 'jpeg'
+    ? pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true })
+    : pipeline.webp({ quality });
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    contentType: VARIANT_FORMATS[spec.format].contentType
+  };
+}
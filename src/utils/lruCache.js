@@ -0,0 +1,134 @@
+/**
+ * In-process LRU cache
+ *
+ * Bounded by entry count and by total size in bytes; the least recently
+ * used entries are evicted first when either bound is exceeded. Sizes are
+ * supplied by the caller (e.g. the length of the serialized value).
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+export class LruCache {
+  /**
+   * @param {Object} options - Cache bounds
+   * @param {number} options.maxEntries - Maximum number of entries
+   * @param {number} options.maxBytes - Maximum total size of all entries
+   */
+  constructor({ maxEntries, maxBytes }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    // Increased by every explicit delete, so a caller can tell whether an
+    // invalidation happened while it was loading a value
+    this.generation = 0;
+    // Map iteration follows insertion order: the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of entries
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} Value, or undefined if absent
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting least recently used entries to stay within bounds
+   * Values larger than maxBytes are not stored.
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {number} size - Size of the value in bytes
+   * @returns {boolean} Whether the value was stored
+   */
+  set(key, value, size) {
+    this.remove(key);
+
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+
+    for (const oldestKey of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.remove(oldestKey);
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether the entry existed
+   */
+  delete(key) {
+    this.generation++;
+    return this.remove(key);
+  }
+
+  /**
+   * Delete every entry matching a predicate
+   * @param {Function} predicate - Called with (value, key)
+   * @returns {number} Number of entries deleted
+   */
+  deleteWhere(predicate) {
+    this.generation++;
+
+    let deleted = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry.value, key)) {
+        this.remove(key);
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete every entry
+   */
+  clear() {
+    this.generation++;
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Remove an entry without counting it as an invalidation (eviction)
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether the entry existed
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+}
@@ -1,3 +1,8 @@
+import { AuthenticationError, DatabaseError, ForbiddenError, formatErrorResponse } from './errorHandler.js';
+import { hasPermission } from './permissions.js';
+import { resolveApiKey, touchApiKey } from './apiKeys.js';
+import { encodedEntityTag, entityTag, identityEntityTag } from './cache.js';
+
 /**
  * Middleware utilities
  * 
@@ -5,7 +10,9 @@
  * - Request logging and monitoring
  * - Rate limiting
  * - Security headers
+ * - HTTP caching and conditional requests
  * - Request timing
+ * - Route authorization
  * 
  * @author Hackathon Team
  * @version 1.0.0
@@ -102,70 +109,254 @@ export function securityHeaders(fastify) {
 }
 
 /**
- * Simple rate limiting middleware
- * Basic rate limiting based on IP address
+ * Check whether the client's copy of a response is still current
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110).
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply with ETag / Last-Modified set
+ * @returns {boolean} True if a 304 Not Modified can be sent
+ */
+function isNotModified(request, reply) {
+  const ifNoneMatch = request.headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    // Weak comparison (W/"x" matches "x"), across encodings ("x-br" matches "x")
+    const etag = reply.getHeader('ETag');
+
+    return ifNoneMatch.trim() === '*' ||
+      (etag !== undefined && ifNoneMatch.split(',').some(tag => identityEntityTag(tag) === identityEntityTag(etag)));
+  }
+
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+  const lastModified = Date.parse(reply.getHeader('Last-Modified'));
+
+  return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Entity tags of compressed responses (route-level onSend hook)
+ * ETags are set from the uncompressed body, by httpCaching or on cache
+ * misses, before @fastify/compress encodes it in its own route-level
+ * onSend hook. This hook has to run after that one, so it is added to each
+ * route from an onRoute hook registered after @fastify/compress, and
+ * suffixes the tag with the encoding the body was sent with (see
+ * encodedEntityTag). Cached hits set their suffixed tag themselves.
+ * @param {Object} fastify - Fastify instance
+ */
+export function encodedEntityTags(fastify) {
+  return async (request, reply, payload) => {
+    const etag = reply.getHeader('ETag');
+    const encoding = reply.getHeader('Content-Encoding');
+
+    if (etag && encoding && encoding !== 'identity' && identityEntityTag(etag) === etag) {
+      reply.header('ETag', encodedEntityTag(etag, encoding));
+    }
+
+    return payload;
+  };
+}
+
+/**
+ * HTTP caching middleware (onSend hook)
+ * For GET and HEAD requests to routes with a Cache-Control policy: sets
+ * Cache-Control on 200 responses, adds a strong ETag computed from the body
+ * when the route did not set one (cached routes set theirs from the cache
+ * entry), and answers If-None-Match / If-Modified-Since with an empty 304
+ * when the client's copy is current.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - HTTP caching options
+ * @param {Object} options.routes - Cache-Control values keyed by "METHOD /route/url"
+ */
+export function httpCaching(fastify, options = {}) {
+  const { routes = {} } = options;
+
+  return async (request, reply, payload) => {
+    // HEAD requests are answered by the GET route
+    const method = request.method === 'HEAD' ? 'GET' : request.method;
+    const cacheControl = routes[`${method} ${request.routeOptions.url}`];
+
+    if (!cacheControl || reply.statusCode !== 200) {
+      return payload;
+    }
+
+    reply.header('Cache-Control', cacheControl);
+
+    if (!reply.hasHeader('ETag') && (typeof payload === 'string' || Buffer.isBuffer(payload))) {
+      reply.header('ETag', entityTag(payload));
+    }
+
+    if (!isNotModified(request, reply)) {
+      return payload;
+    }
+
+    reply.code(304);
+    reply.removeHeader('Content-Type');
+    reply.removeHeader('Content-Encoding');
+    reply.removeHeader('Content-Length');
+
+    return '';
+  };
+}
+
+/**
+ * Sliding window rate limit check (atomic in Redis)
+ * Approximates a sliding window from the counters of the current and the
+ * previous fixed window, weighting the previous one by how much of it still
+ * overlaps the sliding window. Rejected requests are not counted.
+ *
+ * KEYS[1] - counter of the current window, KEYS[2] - counter of the previous window
+ * ARGV[1] - limit, ARGV[2] - weight of the previous window, ARGV[3] - counter TTL (ms)
+ * Returns { allowed (1/0), current count, previous count }
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+if previous * tonumber(ARGV[2]) + current >= tonumber(ARGV[1]) then
+  return { 0, current, previous }
+end
+current = redis.call('INCR', KEYS[1])
+if current == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+return { 1, current, previous }
+`;
+
+/**
+ * Identify the caller a rate limit applies to
+ * @param {Object} request - Fastify request
+ * @returns {string} API key, customer or client IP identity
+ */
+function rateLimitIdentity(request) {
+  if (request.apiKey) {
+    return `apikey:${request.apiKey.id}`;
+  }
+  if (request.user) {
+    return `user:${request.user.customerId}`;
+  }
+  return `ip:${request.ip}`;
+}
+
+/**
+ * Milliseconds until a rejected caller can make another request
+ * @param {number} current - Requests counted in the current window
+ * @param {number} previous - Requests counted in the previous window
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length
+ * @param {number} elapsed - Milliseconds elapsed in the current window
+ * @returns {number} Delay in milliseconds
+ */
+function retryAfterMs(current, previous, limit, windowMs, elapsed) {
+  if (current < limit) {
+    // Wait for the previous window's share to decay enough
+    return windowMs * (1 - (limit - current) / previous) - elapsed;
+  }
+  // Wait for the next window, where the current count decays in turn
+  return windowMs - elapsed + windowMs * (1 - limit / current);
+}
+
+/**
+ * Rate limiting middleware
+ * Sliding window limiter with counters in Redis, so every instance of the
+ * API shares the same limits. Callers are identified by API key, signed-in
+ * customer or IP address (register after authorizeRoute), or by any key
+ * returned by options.keyGenerator (requests for which it returns null are
+ * not limited). Sets RateLimit-* headers, and Retry-After on 429 responses.
+ * If Redis is unavailable requests are allowed through.
  * @param {Object} fastify - Fastify instance
  * @param {Object} options - Rate limiting options
+ * @param {string} options.name - Redis key prefix separating independent limiters
+ * @param {number} options.windowMs - Window length
+ * @param {number|Function} options.maxRequests - Limit, or a function of the request returning it
+ * @param {Function} options.keyGenerator - Returns the counter key of a request
+ * @param {Object} options.routes - { windowMs, maxRequests } overrides keyed by "METHOD /route/url"
+ * @param {Array<string>} options.allowlist - Client IPs that are never limited
  */
 export function rateLimiter(fastify, options = {}) {
   const {
+    name = 'ratelimit',
     windowMs = 15 * 60 * 1000, // 15 minutes
     maxRequests = 10000, // max requests per window
-    skipSuccessfulRequests = false,
-    skipFailedRequests = false
+    keyGenerator = rateLimitIdentity,
+    routes = {},
+    allowlist = []
   } = options;
 
-  const requests = new Map();
+  const allowedIps = new Set(allowlist);
 
-  // Clean up old entries periodically
-  setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of requests.entries()) {
-      if (now - data.windowStart > windowMs) {
-        requests.delete(key);
-      }
+  if (!fastify.redis.slidingWindowLimit) {
+    fastify.redis.defineCommand('slidingWindowLimit', {
+      numberOfKeys: 2,
+      lua: SLIDING_WINDOW_SCRIPT
+    });
+  }
+
+  return async (request, reply) => {
+    if (allowedIps.has(request.ip)) {
+      return;
     }
-  }, windowMs);
 
-  return (request, reply, done) => {
-    const key = request.ip;
+    const identity = keyGenerator(request);
+    if (identity === null) {
+      return;
+    }
+
+    // Routes with their own limit count separately from the default limit
+    const route = `${request.method} ${request.routeOptions.url}`;
+    const routeLimit = routes[route];
+    const window = routeLimit ? routeLimit.windowMs : windowMs;
+    const limit = routeLimit
+      ? routeLimit.maxRequests
+      : typeof maxRequests === 'function' ? maxRequests(request) : maxRequests;
+    const counterKey = routeLimit
+      ? `${name}:${request.method}:${request.routeOptions.url}:${identity}`
+      : `${name}:${identity}`;
+
     const now = Date.now();
-    
-    if (!requests.has(key)) {
-      requests.set(key, {
-        count: 1,
-        windowStart: now
+    const windowIndex = Math.floor(now / window);
+    const elapsed = now - windowIndex * window;
+    const weight = (window - elapsed) / window;
+
+    let allowed, current, previous;
+    try {
+      [allowed, current, previous] = await fastify.redis.slidingWindowLimit(
+        `${counterKey}:${windowIndex}`,
+        `${counterKey}:${windowIndex - 1}`,
+        limit,
+        weight,
+        window * 2
+      );
+    } catch (error) {
+      fastify.log.warn('Rate limiter unavailable, allowing request', {
+        error: error.message,
+        key: counterKey
+      });
+      return;
+    }
+
+    const used = Math.ceil(previous * weight + current);
+
+    reply.header('RateLimit-Policy', `${limit};w=${Math.ceil(window / 1000)}`);
+    reply.header('RateLimit-Limit', limit);
+    reply.header('RateLimit-Remaining', Math.max(limit - used, 0));
+    reply.header('RateLimit-Reset', Math.ceil((window - elapsed) / 1000));
+
+    if (!allowed) {
+      const retryAfter = Math.max(Math.ceil(retryAfterMs(current, previous, limit, window, elapsed) / 1000), 1);
+
+      fastify.log.warn('Rate limit exceeded', {
+        key: counterKey,
+        ip: request.ip,
+        count: used,
+        maxRequests: limit,
+        windowMs: window
+      });
+
+      reply.header('Retry-After', retryAfter);
+      return reply.code(429).send({
+        error: 'Too Many Requests',
+        message: 'Rate limit exceeded',
+        retryAfter
       });
-    } else {
-      const data = requests.get(key);
-      
-      // Reset window if expired
-      if (now - data.windowStart > windowMs) {
-        data.count = 1;
-        data.windowStart = now;
-      } else {
-        data.count++;
-      }
-      
-      // Check if rate limit exceeded
-      if (data.count > maxRequests) {
-        fastify.log.warn('Rate limit exceeded', {
-          ip: key,
-          count: data.count,
-          maxRequests,
-          windowMs
-        });
-        
-        reply.code(429).send({
-          error: 'Too Many Requests',
-          message: 'Rate limit exceeded',
-          retryAfter: Math.ceil(windowMs / 1000)
-        });
-        return;
-      }
     }
-    
-    done();
   };
 }
 
@@ -343,4 +534,117 @@ export function requestQueueManager(fastify, options = {}) {
       processQueue();
     }
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Route authorization middleware
+ * Enforces the permission a route declares in its config (`config.permission`,
+ * see utils/permissions.js). A valid bearer token populates request.user on
+ * every route; an invalid one is ignored on public routes so catalog reads
+ * never fail because of a stale token.
+ * Requests with an X-API-Key header are authorized by the key's scopes
+ * instead (the route's `config.scope`, else its permission) and populate
+ * request.apiKey.
+ * @param {Object} fastify - Fastify instance
+ */
+export function authorizeRoute(fastify) {
+  return async (request, reply) => {
+    const { permission, scope } = request.routeOptions.config || {};
+    let tokenError = null;
+
+    if (request.headers['x-api-key']) {
+      return authorizeApiKey(fastify, request, reply, scope || permission);
+    }
+
+    if (request.headers.authorization) {
+      try {
+        await request.jwtVerify();
+      } catch (error) {
+        tokenError = error;
+      }
+    }
+
+    if (!permission) {
+      return;
+    }
+
+    if (!request.user) {
+      const authError = new AuthenticationError(
+        tokenError?.code === 'FST_JWT_AUTHORIZATION_TOKEN_EXPIRED'
+          ? 'Access token has expired'
+          : 'Authentication required'
+      );
+
+      fastify.log.warn('Unauthenticated request to protected route', {
+        permission,
+        reason: tokenError ? tokenError.code || tokenError.message : 'missing token',
+        method: request.method,
+        url: request.url,
+        ip: request.ip
+      });
+
+      return reply.code(401).send(formatErrorResponse(authError));
+    }
+
+    if (!hasPermission(request.user.role, permission)) {
+      fastify.log.warn('Forbidden request to protected route', {
+        permission,
+        customerId: request.user.customerId,
+        role: request.user.role,
+        method: request.method,
+        url: request.url,
+        ip: request.ip
+      });
+
+      return reply.code(403).send(formatErrorResponse(new ForbiddenError()));
+    }
+  };
+}
+
+/**
+ * Authorize a request made with a partner API key
+ * Any presented key must be valid, even on public routes, so partners
+ * notice a revoked key instead of silently losing their quota.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ * @param {string|undefined} requiredScope - Scope the route requires from API keys
+ */
+async function authorizeApiKey(fastify, request, reply, requiredScope) {
+  let apiKey;
+  try {
+    apiKey = await resolveApiKey(fastify, request.headers['x-api-key']);
+  } catch (error) {
+    fastify.log.error('Failed to resolve API key', { error: error.message, url: request.url });
+    return reply.code(500).send(formatErrorResponse(new DatabaseError('Failed to verify API key', error)));
+  }
+
+  if (!apiKey) {
+    fastify.log.warn('Invalid API key', { method: request.method, url: request.url, ip: request.ip });
+    return reply.code(401).send(formatErrorResponse(new AuthenticationError('API key is invalid or has been revoked')));
+  }
+
+  request.apiKey = apiKey;
+  touchApiKey(fastify, apiKey.id);
+
+  if (!requiredScope) {
+    // Routes that declare no scope are not part of the partner API
+    return reply.code(403).send(formatErrorResponse(
+      new ForbiddenError('This route is not available to API keys')
+    ));
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    fastify.log.warn('API key missing required scope', {
+      apiKeyId: apiKey.id,
+      scope: requiredScope,
+      method: request.method,
+      url: request.url
+    });
+
+    return reply.code(403).send(formatErrorResponse(
+      new ForbiddenError(`API key does not have the ${requiredScope} scope`)
+    ));
+  }
+}
+
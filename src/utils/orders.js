@@ -0,0 +1,533 @@
+/**
+ * Order utilities
+ *
+ * Order placement with transactional stock decrement, and order lookups
+ * shared by the order routes.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { config } from '../config/app.js';
+import { executeQuery } from './database.js';
+import { ConflictError, handleDatabaseError, NotFoundError, ValidationError } from './errorHandler.js';
+
+/**
+ * Allowed order status transitions
+ * pending → paid → fulfilled → shipped → delivered, with cancellation
+ * possible until the order ships and refunds once it has been paid.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['fulfilled', 'cancelled', 'refunded'],
+  fulfilled: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+/**
+ * SQL expression deriving availability from a stock expression
+ * @param {string} stockExpression - SQL expression yielding the new stock level
+ * @param {string} thresholdParam - Placeholder of the limited stock threshold parameter
+ * @returns {string} SQL CASE expression
+ */
+export function availabilityCase(stockExpression, thresholdParam) {
+  return `CASE
+      WHEN ${stockExpression} <= 0 THEN 'out_of_stock'
+      WHEN ${stockExpression} <= ${thresholdParam} THEN 'limited_stock'
+      ELSE 'in_stock'
+    END`;
+}
+
+/**
+ * Columns returned for an order row
+ */
+const ORDER_COLUMNS = `id, customer_id AS "customerId", cart_id AS "cartId", status, currency,
+  subtotal::float8 AS subtotal, item_count AS "itemCount", created_at AS "createdAt", updated_at AS "updatedAt"`;
+
+/**
+ * Columns returned for an order item row
+ */
+const ORDER_ITEM_COLUMNS = `order_id, product_index AS "productIndex", variant_id AS "variantId",
+  variant_sku AS "sku", product_name AS "name", unit_price::float8 AS "unitPrice", quantity,
+  line_total::float8 AS "lineTotal"`;
+
+/**
+ * Run an order query, mapping PostgreSQL errors to application errors
+ * @param {Object} fastify - Fastify instance
+ * @param {string} query - SQL query string
+ * @param {Array} params - Query parameters
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<Object>} Query result
+ */
+async function runOrderQuery(fastify, query, params, operation) {
+  try {
+    return await executeQuery(fastify, query, params, operation);
+  } catch (dbError) {
+    throw handleDatabaseError(dbError, operation);
+  }
+}
+
+/**
+ * Run order changes in a single transaction
+ * Application errors are rethrown as-is; PostgreSQL errors are mapped
+ * through handleDatabaseError.
+ * @param {Object} fastify - Fastify instance
+ * @param {Function} fn - Transaction body receiving the pg client
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<*>} Result of fn
+ */
+export async function runOrderTransaction(fastify, fn, operation) {
+  try {
+    return await fastify.pg.transact(fn);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    fastify.log.error(`Database error during ${operation}:`, {
+      error: error.message,
+      code: error.code,
+      detail: error.detail
+    });
+    throw handleDatabaseError(error, operation);
+  }
+}
+
+/**
+ * Merge order lines referencing the same product and variant
+ * @param {Array<Object>} items - Lines of { index, variantId, quantity }
+ * @returns {Array<Object>} Merged lines sorted by product index, then variant ID
+ */
+export function mergeOrderLines(items) {
+  const lines = new Map();
+
+  for (const { index, variantId = null, quantity } of items) {
+    const key = `${index}:${variantId}`;
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      lines.set(key, { index, variantId, quantity });
+    }
+  }
+
+  return [...lines.values()]
+    .sort((a, b) => a.index - b.index || (a.variantId ?? 0) - (b.variantId ?? 0));
+}
+
+/**
+ * Place an order, decrementing stock inside one transaction
+ * Product rows are locked in index order, then variant rows in ID order, so
+ * concurrent checkouts of overlapping carts serialize instead of overselling
+ * or deadlocking. Products with variants must be ordered by variant; the
+ * variant's stock is checked and decremented along with the product's total.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} order - Order to place
+ * @param {Array<Object>} order.items - Lines of { index, variantId, quantity }
+ * @param {number|null} order.customerId - Ordering customer
+ * @param {string|null} order.cartId - Cart the order was created from
+ * @param {boolean} order.cartPersisted - Whether the cart has a `carts` row (customer carts); the row
+ *   is deleted with the order, so a cart can only be checked out once
+ * @param {string} order.actor - Who placed the order, recorded in the status history
+ * @returns {Promise<Object>} { order, stock, availabilityChanged }: the created order with items,
+ *   the new stock levels and whether any product's availability changed
+ * @throws {NotFoundError} If a product or variant does not exist
+ * @throws {ValidationError} If a line cannot be fulfilled
+ * @throws {ConflictError} If the persisted cart has already been checked out
+ */
+export async function placeOrder(fastify, { items, customerId = null, cartId = null, cartPersisted = false, actor = 'system' }) {
+  const lines = mergeOrderLines(items);
+  const variantLines = lines.filter(line => line.variantId !== null);
+  const productQuantities = new Map();
+  for (const line of lines) {
+    productQuantities.set(line.index, (productQuantities.get(line.index) || 0) + line.quantity);
+  }
+
+  return runOrderTransaction(fastify, async client => {
+    if (cartPersisted) {
+      const claimed = await client.query('DELETE FROM carts WHERE id = $1', [cartId]);
+      if (claimed.rowCount === 0) {
+        throw new ConflictError('Cart has already been checked out', { cartId });
+      }
+    }
+
+    const productResult = await client.query(
+      `SELECT id, index, name, price, currency, stock, availability,
+         EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id) AS has_variants
+       FROM products
+       WHERE index = ANY($1)
+       ORDER BY index
+       FOR UPDATE`,
+      [[...productQuantities.keys()]]
+    );
+    const products = new Map(productResult.rows.map(row => [row.index, row]));
+
+    const variantResult = variantLines.length === 0 ? { rows: [] } : await client.query(
+      `SELECT v.id, p.index, v.sku, v.price, v.stock
+       FROM product_variants v JOIN products p ON p.id = v.product_id
+       WHERE v.id = ANY($1)
+       ORDER BY v.id
+       FOR UPDATE OF v`,
+      [variantLines.map(line => line.variantId)]
+    );
+    const variants = new Map(variantResult.rows.map(row => [row.id, row]));
+
+    let currency = null;
+    let subtotalCents = 0;
+    const orderLines = lines.map(line => {
+      const product = products.get(line.index);
+      if (!product) {
+        throw new NotFoundError('Product', line.index);
+      }
+
+      const variant = line.variantId === null ? null : variants.get(line.variantId);
+      if (variant === undefined || (variant && variant.index !== line.index)) {
+        throw new NotFoundError('Product variant', line.variantId);
+      }
+      if (!variant && product.has_variants) {
+        throw new ValidationError(`Product ${line.index} has variants; order one by variantId`, { index: line.index });
+      }
+
+      const price = variant?.price ?? product.price;
+      if (price === null) {
+        throw new ValidationError(`Product ${line.index} has no price`);
+      }
+
+      // Matches getLineIssue in carts.js: editors can mark a product out of
+      // stock regardless of its stock count
+      if (!variant && (product.availability || '').toLowerCase() === 'out_of_stock') {
+        throw new ValidationError(`Product ${line.index} is out of stock`, { index: line.index });
+      }
+
+      const stock = (variant ? variant.stock : product.stock) ?? 0;
+      if (stock < line.quantity) {
+        throw new ValidationError(`Insufficient stock for product ${line.index}${variant ? ` variant ${line.variantId}` : ''}`, {
+          index: line.index,
+          variantId: line.variantId,
+          requested: line.quantity,
+          stock
+        });
+      }
+
+      const productCurrency = product.currency || 'USD';
+      if (currency && productCurrency !== currency) {
+        throw new ValidationError('All products in an order must share one currency', {
+          currencies: [currency, productCurrency]
+        });
+      }
+      currency = productCurrency;
+
+      const unitPriceCents = Math.round(Number(price) * 100);
+      subtotalCents += unitPriceCents * line.quantity;
+
+      return {
+        productId: product.id,
+        index: line.index,
+        variantId: line.variantId,
+        sku: variant?.sku ?? null,
+        name: product.name,
+        quantity: line.quantity,
+        unitPrice: unitPriceCents / 100,
+        lineTotal: (unitPriceCents * line.quantity) / 100
+      };
+    });
+
+    if (variantLines.length > 0) {
+      await client.query(
+        `UPDATE product_variants pv
+         SET stock = pv.stock - v.quantity,
+             updated_at = CURRENT_TIMESTAMP
+         FROM unnest($1::int[], $2::int[]) AS v(id, quantity)
+         WHERE pv.id = v.id`,
+        [variantLines.map(line => line.variantId), variantLines.map(line => line.quantity)]
+      );
+    }
+
+    // A product's stock is the total of its variants' stock, so it is never
+    // taken below zero even if the two have drifted apart.
+    const stockResult = await client.query(
+      `UPDATE products p
+       SET stock = GREATEST(COALESCE(p.stock, 0) - v.quantity, 0),
+           availability = ${availabilityCase('COALESCE(p.stock, 0) - v.quantity', '$3')},
+           updated_at = CURRENT_TIMESTAMP
+       FROM unnest($1::int[], $2::int[]) AS v(index, quantity)
+       WHERE p.index = v.index
+       RETURNING p.index, p.stock, p.availability`,
+      [[...productQuantities.keys()], [...productQuantities.values()], config.inventory.limitedStockThreshold]
+    );
+
+    const orderResult = await client.query(
+      `INSERT INTO orders (customer_id, cart_id, currency, subtotal, item_count)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${ORDER_COLUMNS}`,
+      [customerId, cartId, currency, subtotalCents / 100, lines.reduce((count, line) => count + line.quantity, 0)]
+    );
+    const order = orderResult.rows[0];
+
+    const itemResult = await client.query(
+      `INSERT INTO order_items (order_id, product_id, product_index, variant_id, variant_sku, product_name, unit_price, quantity, line_total)
+       SELECT $1::int, * FROM unnest($2::int[], $3::int[], $4::int[], $5::text[], $6::text[], $7::numeric[], $8::int[], $9::numeric[])
+       RETURNING ${ORDER_ITEM_COLUMNS}`,
+      [
+        order.id,
+        orderLines.map(line => line.productId),
+        orderLines.map(line => line.index),
+        orderLines.map(line => line.variantId),
+        orderLines.map(line => line.sku),
+        orderLines.map(line => line.name),
+        orderLines.map(line => line.unitPrice),
+        orderLines.map(line => line.quantity),
+        orderLines.map(line => line.lineTotal)
+      ]
+    );
+
+    await recordStatusChange(client, order.id, null, order.status, actor);
+
+    return {
+      order: { ...order, items: itemResult.rows.map(({ order_id, ...item }) => item) },
+      stock: stockResult.rows,
+      availabilityChanged: stockResult.rows.some(row => row.availability !== products.get(row.index).availability)
+    };
+  }, 'placing order');
+}
+
+/**
+ * Record an order status change in the status history
+ * @param {Object} client - Transaction client
+ * @param {number} orderId - Order ID
+ * @param {string|null} fromStatus - Previous status (null when the order is created)
+ * @param {string} toStatus - New status
+ * @param {string} actor - Who made the change
+ * @param {string|null} note - Optional note
+ */
+async function recordStatusChange(client, orderId, fromStatus, toStatus, actor, note = null) {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, actor, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [orderId, fromStatus, toStatus, actor, note]
+  );
+}
+
+/**
+ * Put the stock of a cancelled order back on its products and variants
+ * Stock goes back to the product and variant IDs recorded on the order
+ * items, not to their indexes, which can be reassigned after a delete.
+ * Product rows are locked in index order, then variant rows in ID order,
+ * matching placeOrder. Products and variants deleted since the order was
+ * placed (recorded IDs nulled) are skipped.
+ * @param {Object} client - Transaction client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object>} { stock, availabilityChanged }: new stock levels of the restocked
+ *   products and whether any product's availability changed
+ */
+async function restoreOrderStock(client, orderId) {
+  const lockResult = await client.query(
+    `SELECT index, availability FROM products
+     WHERE id IN (SELECT product_id FROM order_items WHERE order_id = $1)
+     ORDER BY index
+     FOR UPDATE`,
+    [orderId]
+  );
+
+  await client.query(
+    `SELECT id FROM product_variants
+     WHERE id IN (SELECT variant_id FROM order_items WHERE order_id = $1)
+     ORDER BY id
+     FOR UPDATE`,
+    [orderId]
+  );
+  await client.query(
+    `UPDATE product_variants pv
+     SET stock = pv.stock + v.quantity,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT variant_id, SUM(quantity) AS quantity
+       FROM order_items
+       WHERE order_id = $1 AND variant_id IS NOT NULL
+       GROUP BY variant_id
+     ) v
+     WHERE pv.id = v.variant_id`,
+    [orderId]
+  );
+
+  const result = await client.query(
+    `UPDATE products p
+     SET stock = COALESCE(p.stock, 0) + v.quantity,
+         availability = ${availabilityCase('COALESCE(p.stock, 0) + v.quantity', '$2')},
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT product_id, SUM(quantity) AS quantity
+       FROM order_items
+       WHERE order_id = $1 AND product_id IS NOT NULL
+       GROUP BY product_id
+     ) v
+     WHERE p.id = v.product_id
+     RETURNING p.index, p.stock, p.availability`,
+    [orderId, config.inventory.limitedStockThreshold]
+  );
+  const previous = new Map(lockResult.rows.map(row => [row.index, row.availability]));
+
+  return {
+    stock: result.rows,
+    availabilityChanged: result.rows.some(row => row.availability !== previous.get(row.index))
+  };
+}
+
+/**
+ * Move an order to a new status
+ * The order row is locked so concurrent transitions are applied one at a
+ * time against the current status. Cancelling restores the order's stock.
+ * @param {Object} fastify - Fastify instance
+ * @param {number} orderId - Order ID
+ * @param {Object} transition - Requested transition
+ * @param {string} transition.status - New status
+ * @param {string} transition.actor - Who made the change
+ * @param {string|null} transition.note - Optional note
+ * @returns {Promise<Object>} { fromStatus, stock, availabilityChanged } where stock lists restocked products
+ * @throws {NotFoundError} If the order does not exist
+ * @throws {ValidationError} If the transition is not allowed from the current status
+ */
+export async function transitionOrder(fastify, orderId, { status, actor, note = null }) {
+  return runOrderTransaction(fastify, async client => {
+    const result = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Order', orderId);
+    }
+
+    const fromStatus = result.rows[0].status;
+    const allowed = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+    if (!allowed.includes(status)) {
+      throw new ValidationError(`Cannot change order status from ${fromStatus} to ${status}`, {
+        status: fromStatus,
+        allowed
+      });
+    }
+
+    const { stock, availabilityChanged } = status === 'cancelled'
+      ? await restoreOrderStock(client, orderId)
+      : { stock: [], availabilityChanged: false };
+
+    await client.query(
+      'UPDATE orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [status, orderId]
+    );
+    await recordStatusChange(client, orderId, fromStatus, status, actor, note);
+
+    return { fromStatus, stock, availabilityChanged };
+  }, 'changing order status');
+}
+
+/**
+ * Fetch the status history of an order, oldest first
+ * @param {Object} fastify - Fastify instance
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array<Object>>} Status changes
+ * @throws {NotFoundError} If the order does not exist
+ */
+export async function fetchOrderStatusHistory(fastify, orderId) {
+  const results = await Promise.all([
+    runOrderQuery(fastify, 'SELECT id FROM orders WHERE id = $1', [orderId], 'checking order exists'),
+    runOrderQuery(
+      fastify,
+      `SELECT from_status AS "fromStatus", to_status AS "toStatus", actor, note, created_at AS "createdAt"
+       FROM order_status_history
+       WHERE order_id = $1
+       ORDER BY created_at, id`,
+      [orderId],
+      'fetching order status history'
+    )
+  ]);
+
+  if (!results[0].rows.length) {
+    throw new NotFoundError('Order', orderId);
+  }
+
+  return results[1].rows;
+}
+
+/**
+ * Attach line items to order rows
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<Object>} orders - Order rows
+ * @returns {Promise<Array<Object>>} Orders with items
+ */
+export async function attachOrderItems(fastify, orders) {
+  if (orders.length === 0) {
+    return orders;
+  }
+
+  const result = await runOrderQuery(
+    fastify,
+    `SELECT ${ORDER_ITEM_COLUMNS} FROM order_items WHERE order_id = ANY($1) ORDER BY order_id, id`,
+    [orders.map(order => order.id)],
+    'fetching order items'
+  );
+
+  const itemsByOrder = new Map(orders.map(order => [order.id, []]));
+  for (const { order_id, ...item } of result.rows) {
+    itemsByOrder.get(order_id).push(item);
+  }
+
+  return orders.map(order => ({ ...order, items: itemsByOrder.get(order.id) }));
+}
+
+/**
+ * Fetch an order with its items
+ * @param {Object} fastify - Fastify instance
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object>} Order
+ * @throws {NotFoundError} If the order does not exist
+ */
+export async function fetchOrder(fastify, orderId) {
+  const result = await runOrderQuery(
+    fastify,
+    `SELECT ${ORDER_COLUMNS} FROM orders WHERE id = $1`,
+    [orderId],
+    'fetching order'
+  );
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Order', orderId);
+  }
+
+  const [order] = await attachOrderItems(fastify, result.rows);
+  return order;
+}
+
+/**
+ * Fetch one page of a customer's order history, newest first
+ * @param {Object} fastify - Fastify instance
+ * @param {number} customerId - Customer ID
+ * @param {number} page - Page number
+ * @param {number} limit - Orders per page
+ * @returns {Promise<Object>} { orders, total }
+ */
+export async function fetchOrderHistory(fastify, customerId, page, limit) {
+  const results = await Promise.all([
+    runOrderQuery(
+      fastify,
+      `SELECT ${ORDER_COLUMNS} FROM orders
+       WHERE customer_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [customerId, limit, (page - 1) * limit],
+      'fetching order history'
+    ),
+    runOrderQuery(
+      fastify,
+      'SELECT COUNT(*) AS total FROM orders WHERE customer_id = $1',
+      [customerId],
+      'counting customer orders'
+    )
+  ]);
+
+  return {
+    orders: await attachOrderItems(fastify, results[0].rows),
+    total: parseInt(results[1].rows[0].total)
+  };
+}
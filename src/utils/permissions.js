@@ -0,0 +1,82 @@
+/**
+ * Role-based access control
+ *
+ * Routes declare the permission they need in their route config:
+ *
+ *   fastify.post('/', { config: { permission: PERMISSIONS.CATALOG_WRITE } }, handler)
+ *
+ * and the authorization hook registered in server.js checks it against the
+ * role carried in the caller's access token. Routes without a permission
+ * stay public.
+ *
+ * Partner API keys carry scopes instead of a role. A key may call a route
+ * if its scopes include the route's `config.scope`, or the route's
+ * permission when it declares no scope; public routes without a scope are
+ * closed to keys.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+/**
+ * Customer roles
+ */
+export const ROLES = ['customer', 'catalog_editor', 'admin'];
+
+/**
+ * Permissions that routes can require
+ */
+export const PERMISSIONS = {
+  // Any signed-in customer
+  AUTHENTICATED: 'authenticated',
+  // Create, update and delete products and categories
+  CATALOG_WRITE: 'catalog:write',
+  // Read any customer's orders
+  ORDERS_READ: 'orders:read',
+  // Change the status of any order
+  ORDERS_MANAGE: 'orders:manage',
+  // Change customer roles
+  CUSTOMERS_MANAGE: 'customers:manage',
+  // Operational endpoints (detailed health, debug routes)
+  OPS_READ: 'ops:read',
+  // Purge cached responses
+  CACHE_MANAGE: 'cache:manage',
+  // Load and remove currency exchange rates
+  EXCHANGE_RATES_MANAGE: 'exchange_rates:manage',
+  // Create, rotate and revoke partner API keys
+  API_KEYS_MANAGE: 'api_keys:manage',
+  // Read the product catalog (API key scope)
+  CATALOG_READ: 'catalog:read',
+  // Place orders (API key scope)
+  ORDERS_WRITE: 'orders:write',
+  // Download catalog statistics (API key scope)
+  STATS_READ: 'stats:read'
+};
+
+/**
+ * Scopes that can be granted to partner API keys
+ */
+export const API_KEY_SCOPES = [
+  PERMISSIONS.CATALOG_READ,
+  PERMISSIONS.ORDERS_WRITE,
+  PERMISSIONS.STATS_READ
+];
+
+/**
+ * Permissions granted to each role
+ */
+export const ROLE_PERMISSIONS = {
+  customer: [PERMISSIONS.AUTHENTICATED],
+  catalog_editor: [PERMISSIONS.AUTHENTICATED, PERMISSIONS.CATALOG_WRITE],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} Whether the permission is granted
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
@@ -0,0 +1,317 @@
+/**
+ * Product image utilities
+ *
+ * Gallery lookups and transactional helpers shared by the product and
+ * product image routes. A product's gallery is ordered by position (then
+ * id); its primary image's url is copied to products.image_url, so product
+ * listings return the primary image without reading the gallery.
+ *
+ * Uploaded images are stored through fastify.storage and start out
+ * `pending`; the image worker claims them, generates their variants and
+ * marks them `ready` (or `failed`). Images added by URL are `ready` at once.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { config } from '../config/app.js';
+import { executeQuery } from './database.js';
+import { handleDatabaseError, NotFoundError } from './errorHandler.js';
+import { generateVariant, readImageInfo, variantKey, variantSpecs } from './imageProcessing.js';
+
+/**
+ * Columns returned for a product image row
+ */
+export const PRODUCT_IMAGE_COLUMNS = 'id, url, alt_text, width, height, position, is_primary, status, variants';
+
+/**
+ * Product image returned by the detail and gallery endpoints
+ */
+export const productImageSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    url: { type: 'string' },
+    alt_text: { type: ['string', 'null'] },
+    width: { type: ['integer', 'null'] },
+    height: { type: ['integer', 'null'] },
+    position: { type: 'integer' },
+    is_primary: { type: 'boolean' },
+    status: { type: 'string', enum: ['pending', 'processing', 'ready', 'failed'] },
+    variants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          width: { type: 'integer' },
+          height: { type: 'integer' },
+          format: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Fetch the gallery of a product in display order
+ * @param {Object} fastify - Fastify instance
+ * @param {number} productId - Product ID (not Index)
+ * @returns {Promise<Array>} Product image rows
+ */
+export async function fetchProductImages(fastify, productId) {
+  const result = await executeQuery(
+    fastify,
+    `SELECT ${PRODUCT_IMAGE_COLUMNS} FROM product_images
+     WHERE product_id = $1 ORDER BY position, id`,
+    [productId],
+    'fetching product images'
+  );
+
+  return result.rows;
+}
+
+/**
+ * Run product image changes in a single transaction
+ * Application errors are rethrown as-is; PostgreSQL errors are mapped
+ * through handleDatabaseError.
+ * @param {Object} fastify - Fastify instance
+ * @param {Function} fn - Transaction body receiving the pg client
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<*>} Result of fn
+ */
+export async function runProductImageTransaction(fastify, fn, operation) {
+  try {
+    return await fastify.pg.transact(fn);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    fastify.log.error(`Database error during ${operation}:`, {
+      error: error.message,
+      code: error.code,
+      detail: error.detail
+    });
+    throw handleDatabaseError(error, operation);
+  }
+}
+
+/**
+ * Lock a product row for the rest of the transaction
+ * Gallery changes of one product are serialized on this lock, which keeps
+ * the primary image and positions consistent.
+ * @param {Object} client - Transaction client
+ * @param {number} index - Product Index
+ * @returns {Promise<Object>} Product row ({ id, index, image_url })
+ * @throws {NotFoundError} If the product does not exist
+ */
+export async function lockProduct(client, index) {
+  const result = await client.query(
+    'SELECT id, index, image_url FROM products WHERE index = $1 FOR UPDATE',
+    [index]
+  );
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Product', index);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Bring a product in line with its gallery after a change
+ * Makes the first image primary when no image is, copies the primary
+ * image's url to products.image_url (NULL once the gallery is empty) and
+ * bumps products.updated_at, which the detail endpoint's Last-Modified
+ * header is based on.
+ * @param {Object} client - Transaction client
+ * @param {Object} product - Locked product row (see lockProduct)
+ * @returns {Promise<Object>} { primaryId, imageUrlChanged }
+ */
+export async function syncPrimaryImage(client, product) {
+  await client.query(
+    `UPDATE product_images SET is_primary = TRUE, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (SELECT id FROM product_images WHERE product_id = $1 ORDER BY position, id LIMIT 1)
+       AND NOT EXISTS (SELECT 1 FROM product_images WHERE product_id = $1 AND is_primary)`,
+    [product.id]
+  );
+
+  const primaryResult = await client.query(
+    'SELECT id, url FROM product_images WHERE product_id = $1 AND is_primary',
+    [product.id]
+  );
+  const primary = primaryResult.rows[0] ?? null;
+  const imageUrl = primary?.url ?? null;
+
+  await client.query(
+    'UPDATE products SET image_url = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [product.id, imageUrl]
+  );
+
+  return { primaryId: primary?.id ?? null, imageUrlChanged: imageUrl !== product.image_url };
+}
+
+/**
+ * List the storage keys of an image's original and variants
+ * @param {Object} image - Image row with storage_key and variants
+ * @returns {Array<string>} Storage keys (empty for images added by URL)
+ */
+export function storedImageKeys(image) {
+  if (!image.storage_key) {
+    return [];
+  }
+  return [image.storage_key, ...(image.variants || []).map(variant => variant.key)];
+}
+
+/**
+ * Remove the stored files of deleted images
+ * Runs after the rows are gone; failures are logged, leaving orphaned files.
+ * @param {Object} fastify - Fastify instance
+ * @param {Array<Object>} images - Deleted image rows with storage_key and variants
+ */
+export async function deleteStoredImages(fastify, images) {
+  const keys = images.flatMap(storedImageKeys);
+  if (!keys.length) {
+    return;
+  }
+
+  try {
+    await fastify.storage.delete(keys);
+  } catch (error) {
+    fastify.log.error('Failed to delete stored image files:', { error: error.message, keys });
+  }
+}
+
+/**
+ * Claim the next image waiting for its variants
+ * Failed images are retried after media.worker.retryDelay seconds per
+ * attempt. Images stuck in processing longer than media.worker.staleAfter
+ * (e.g. after a crash) are claimed again, until they run out of attempts.
+ * SKIP LOCKED lets workers on several instances claim images side by side.
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Object|null>} Claimed image ({ id, product_id, storage_key, attempts }) or null
+ */
+export async function claimPendingImage(fastify) {
+  const { maxAttempts, staleAfter, retryDelay } = config.media.worker;
+
+  await executeQuery(
+    fastify,
+    `UPDATE product_images
+     SET status = 'failed', processing_error = 'Processing did not finish', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'processing' AND attempts >= $1
+       AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+    [maxAttempts, staleAfter],
+    'failing abandoned product images'
+  );
+
+  const result = await executeQuery(
+    fastify,
+    `UPDATE product_images
+     SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM product_images
+       WHERE attempts < $1
+         AND ((status = 'pending' AND updated_at <= CURRENT_TIMESTAMP - make_interval(secs => attempts * $3))
+           OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2)))
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, product_id, storage_key, attempts`,
+    [maxAttempts, staleAfter, retryDelay],
+    'claiming pending product image'
+  );
+
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Record the outcome of processing an image, if the claim is still current
+ * Also bumps products.updated_at, since the detail endpoint returns the
+ * image's status and variants.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} image - Claimed image (see claimPendingImage)
+ * @param {string} assignments - SQL SET list for the image row ($3 onwards)
+ * @param {Array} params - Parameters of the assignments
+ * @param {string} operation - Description of the operation for logging
+ * @returns {Promise<boolean>} False if the image was deleted or claimed again meanwhile
+ */
+async function finishImageProcessing(fastify, image, assignments, params, operation) {
+  const result = await executeQuery(
+    fastify,
+    `WITH finished AS (
+       UPDATE product_images
+       SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'processing' AND attempts = $2
+       RETURNING product_id
+     )
+     UPDATE products SET updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (SELECT product_id FROM finished)
+     RETURNING index`,
+    [image.id, image.attempts, ...params],
+    operation
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Generate and store the variants of a claimed image, then mark it ready
+ * Failed images go back to pending until they run out of attempts.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} image - Claimed image (see claimPendingImage)
+ * @returns {Promise<string>} Resulting status (ready, pending, failed or discarded)
+ */
+export async function processProductImage(fastify, image) {
+  const { storage } = fastify;
+  const variants = [];
+
+  try {
+    const original = await storage.get(image.storage_key);
+    const { width } = await readImageInfo(original);
+
+    for (const spec of variantSpecs(config.media, width)) {
+      const key = variantKey(image.storage_key, spec);
+      const variant = await generateVariant(original, spec, config.media.quality);
+      await storage.put(key, variant.buffer, { contentType: variant.contentType });
+      variants.push({ key, url: storage.url(key), width: variant.width, height: variant.height, format: spec.format });
+    }
+  } catch (error) {
+    const status = image.attempts >= config.media.worker.maxAttempts ? 'failed' : 'pending';
+    fastify.log.error('Product image processing failed:', {
+      imageId: image.id,
+      attempt: image.attempts,
+      status,
+      error: error.message
+    });
+
+    await finishImageProcessing(
+      fastify,
+      image,
+      'status = $3, processing_error = $4',
+      [status, error.message],
+      'recording product image failure'
+    );
+    return status;
+  }
+
+  const recorded = await finishImageProcessing(
+    fastify,
+    image,
+    "status = 'ready', variants = $3, processing_error = NULL",
+    [JSON.stringify(variants)],
+    'recording product image variants'
+  );
+
+  if (!recorded) {
+    // The image was deleted (or reclaimed) while processing
+    const exists = await executeQuery(fastify, 'SELECT 1 FROM product_images WHERE id = $1', [image.id], 'checking product image');
+    if (!exists.rows.length) {
+      await deleteStoredImages(fastify, [{ storage_key: image.storage_key, variants }]);
+    }
+    return 'discarded';
+  }
+
+  fastify.log.info('Product image processed', { imageId: image.id, variants: variants.length });
+  return 'ready';
+}
@@ -0,0 +1,153 @@
+/**
+ * Media storage
+ *
+ * Uploaded files are stored through a storage driver identified by
+ * `media.storage.driver`. Every driver implements the same interface, so
+ * routes and the image worker never touch the disk (or a bucket) directly:
+ *
+ *   await storage.put(key, buffer, { contentType });
+ *   const buffer = await storage.get(key);
+ *   const url = storage.url(key);
+ *
+ * Keys are relative, slash separated paths such as
+ * "products/<uuid>/original.jpg". An S3-compatible driver can be added by
+ * implementing the interface and listing it in STORAGE_DRIVERS.
+ *
+ * @author Hackathon Team
+ * @version 1.0.0
+ */
+
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage driver interface
+ * @typedef {Object} Storage
+ * @property {function(string, Buffer, Object): Promise<void>} put - Store a file under a key
+ * @property {function(string): Promise<Buffer>} get - Read a file
+ * @property {function(string): Promise<Object|null>} stat - { size, modifiedAt }, or null if missing
+ * @property {function(string): Object} createReadStream - Stream a file (drivers serving /media/ only)
+ * @property {function(Array<string>): Promise<void>} delete - Remove files; missing files are ignored
+ * @property {function(string): string} url - Public URL of a key
+ */
+
+/**
+ * Valid storage key: lower-case path segments and a file extension
+ */
+const STORAGE_KEY_PATTERN = /^[a-z0-9-]+(\/[a-z0-9-]+)*\.[a-z0-9]+$/;
+
+/**
+ * Check whether a key is a valid storage key
+ * Keys are generated by the server; validating them also keeps paths
+ * requested under /media/ inside the storage root.
+ * @param {string} key - Storage key
+ * @returns {boolean} True if valid
+ */
+export function isValidStorageKey(key) {
+  return typeof key === 'string' && STORAGE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Local disk storage driver
+ * Files are written to a temporary name and renamed, so readers never see
+ * a partially written file.
+ */
+export class LocalDiskStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.root - Directory files are stored in
+   * @param {string} options.publicUrl - URL prefix of stored files
+   */
+  constructor({ root, publicUrl }) {
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Resolve the path of a key inside the storage root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key is not a valid storage key
+   */
+  resolve(key) {
+    if (!isValidStorageKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, key);
+  }
+
+  async put(key, buffer, options = {}) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return createReadStream(this.resolve(key));
+  }
+
+  async delete(keys) {
+    await Promise.all(keys.map(key => fs.rm(this.resolve(key), { force: true })));
+
+    // Remove directories left empty, up to the storage root
+    const directories = new Set(keys.map(key => path.dirname(this.resolve(key))));
+    for (const directory of directories) {
+      let current = directory;
+      while (current.startsWith(`${this.root}${path.sep}`)) {
+        try {
+          await fs.rmdir(current);
+        } catch {
+          break;
+        }
+        current = path.dirname(current);
+      }
+    }
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+/**
+ * Storage drivers by `media.storage.driver` name
+ */
+export const STORAGE_DRIVERS = {
+  local: LocalDiskStorage
+};
+
+/**
+ * Create the configured storage driver
+ * @param {Object} options - Storage options (driver plus driver options)
+ * @param {string} publicUrl - URL prefix of stored files
+ * @returns {Storage} Storage driver
+ * @throws {Error} If the driver is unknown
+ */
+export function createStorage({ driver, ...options }, publicUrl) {
+  const Driver = STORAGE_DRIVERS[driver];
+  if (!Driver) {
+    throw new Error(`Unknown media storage driver: ${driver} (available: ${Object.keys(STORAGE_DRIVERS).join(', ')})`);
+  }
+
+  return new Driver({ ...options, publicUrl });
+}